@@ -3,7 +3,8 @@
  * Letter Icon Composer — Node.js CLI
  *
  * Generates composite letter-on-shape SVG icons for IntelliJ structure & completion views.
- * Shares core logic with the browser UI (index.html) via core.js.
+ * Shares core logic with the browser UI (index.html) via core.js; the full
+ * pipeline lives in compose.js and this file only maps flags onto it.
  *
  * Usage:
  *   node cli.js --letter N --shape circle --color blue --out ./icons/
@@ -14,9 +15,8 @@
  */
 
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
-import { resolve, join } from 'node:path';
+import { resolve, join, dirname, basename, extname } from 'node:path';
 import { parseArgs } from 'node:util';
-import { fileURLToPath } from 'node:url';
 
 import { optimize } from 'svgo';
 
@@ -24,18 +24,156 @@ import {
   PRESETS,
   SHAPES,
   MODIFIERS,
-  findPreset,
-  getFontUrl,
-  getGoogleFontUrl,
-  parseFont,
   getTextPath,
   calibrateFontSize,
   generateLetterPath,
-  generateSVG,
-  createCustomShape,
-  generateBaseIconSVG,
+  getFontUrl,
+  getGoogleFontUrl,
+  getSizeSuffix,
+  getScaleSuffix,
+  checkPngNaming,
+  parseSizes,
+  BASE_ICON_SIZE,
+  analyzeContrast,
+  IDE_BACKGROUNDS,
+  DEFAULT_MIN_CONTRAST,
+  derivePreset,
+  TEXT_LAYOUTS,
+  ELEMENT_KINDS,
+  applyElementKind,
+  SHAPE_PARAMS,
+  STROKE_ALIGNMENTS,
+  VISIBILITY_MARKERS,
+  VISIBILITY_LAYOUTS,
 } from './core.js';
-import { createModifierEngine } from './modifier.js';
+import { composeIcon, loadFont, loadThemePresets, loadShapePacks, rasterizeSVG } from './compose.js';
+import { getFontCacheDir, seedFontCache, listFontCache, clearFontCache, matchFontUrl } from './font-cache.js';
+import {
+  toConstantName,
+  holderLanguageFromFile,
+  iconResourcePath,
+  parseIconHolder,
+  mergeIconHolderEntries,
+  renderIconHolder,
+} from './icon-holder.js';
+import { addIconMapping } from './icon-mappings.js';
+
+// ── Shared Helpers ───────────────────────────────────────────────────
+/** Maps parsed font flags to loadFont()/composeIcon() options. */
+function fontOptionsFromArgs(a) {
+  return {
+    font: a.font,
+    fontFile: a['font-file'],
+    googleFont: a['google-font'],
+    fontWeight: a['font-weight'],
+    fontSubset: a['font-subset'],
+    bold: a.bold,
+    italic: a.italic,
+    offline: a.offline,
+    fontVariation: a['font-variation'],
+    fontFeatures: a['font-features'],
+  };
+}
+
+const OUTPUT_FORMATS = ['svg', 'png'];
+
+/**
+ * Validates an output format and PNG scale list ("1,2,4").
+ * @returns {{ format: string, scales: number[] }}
+ */
+function parseOutputFormat(format = 'svg', scale = '1') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Valid formats: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  const scales = [];
+  for (const item of Array.isArray(scale) ? scale : String(scale).split(',')) {
+    const n = Number(String(item).trim());
+    if (!(n > 0) || n > 64) throw new Error(`Invalid PNG scale "${item}". Scales must be numbers between 0 and 64.`);
+    if (!scales.includes(n)) scales.push(n);
+  }
+  return { format, scales };
+}
+
+/**
+ * Writes one icon variant as `<name><suffix>.svg`, or as one
+ * `<name>[@Nx]<suffix>.png` per scale (`suffix` is `_dark` or empty, so the
+ * scale lands where IntelliJ expects it: `name@2x_dark.png`).
+ * @returns {Promise<string[]>} Paths written
+ */
+async function writeIcon(outDir, name, suffix, svg, { format, scales }) {
+  if (format === 'svg') {
+    const outPath = join(outDir, `${name}${suffix}.svg`);
+    await writeFile(outPath, svg + '\n');
+    return [outPath];
+  }
+  const written = [];
+  for (const scale of scales) {
+    const outPath = join(outDir, `${name}${getScaleSuffix(scale)}${suffix}.png`);
+    await writeFile(outPath, await rasterizeSVG(svg, scale));
+    written.push(outPath);
+  }
+  return written;
+}
+
+/**
+ * Writes the Kotlin/Java icons holder for `icons` ([{ name, fileName }]).
+ * With `merge`, constants from a holder this tool generated earlier are kept
+ * and the given icons added or replaced; otherwise the holder lists exactly
+ * `icons`, so removed icons drop out when a whole set is regenerated.
+ * @returns {Promise<string>} Path written
+ */
+async function writeIconHolder({ file, className, packageName, resourceRoot = '/icons' }, icons, { merge }) {
+  const language = holderLanguageFromFile(file);
+  if (!language) throw new Error(`Holder file "${file}" must end in .kt (Kotlin) or .java (Java).`);
+
+  let existing = null;
+  let source = null;
+  try {
+    source = await readFile(file, 'utf-8');
+  } catch { /* new holder */ }
+  if (source != null) {
+    existing = parseIconHolder(source);
+    if (!existing) throw new Error(`"${file}" exists but was not generated by this tool; refusing to overwrite it.`);
+  }
+
+  const entries = icons.map(icon => ({
+    constant: toConstantName(icon.name),
+    path: iconResourcePath(resourceRoot, icon.fileName),
+  }));
+
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, renderIconHolder({
+    language,
+    className: className || basename(file, extname(file)),
+    packageName: packageName ?? existing?.packageName,
+    entries: merge && existing ? mergeIconHolderEntries(existing.entries, entries) : entries,
+  }));
+  return file;
+}
+
+/**
+ * Merges new-UI → classic icon pairs ([{ newPath, oldPaths }]) into an expUI
+ * `*IconMappings.json` file, creating it if needed.  Existing mappings are kept.
+ * @returns {Promise<string>} Path written
+ */
+async function writeIconMappings(file, pairs) {
+  let mappings = {};
+  let source = null;
+  try {
+    source = await readFile(file, 'utf-8');
+  } catch { /* new mappings file */ }
+  if (source != null) {
+    try {
+      mappings = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`Could not parse mappings file "${file}": ${e.message}`);
+    }
+  }
+  for (const { newPath, oldPaths } of pairs) mappings = addIconMapping(mappings, newPath, oldPaths);
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(mappings, null, 2) + '\n');
+  return file;
+}
 
 // ── Text-to-SVG Subcommand ──────────────────────────────────────────
 if (process.argv[2] === 'text-to-svg') {
@@ -50,6 +188,9 @@ if (process.argv[2] === 'text-to-svg') {
       'font-subset': { type: 'string' },
       bold:          { type: 'boolean', default: false },
       italic:        { type: 'boolean', default: false },
+      offline:       { type: 'boolean', default: false },
+      'font-variation': { type: 'string' },
+      'font-features':  { type: 'string' },
       'font-size':   { type: 'string' },
       color:         { type: 'string', default: '#000000' },
       size:          { type: 'string', default: '16' },
@@ -82,6 +223,10 @@ Font:
   --font-subset <name>     Fontsource subset: latin, symbols, cyrillic, etc. (default: latin)
   --bold                   Use bold variant
   --italic                 Use italic variant
+  --offline                Use bundled/cached fonts only — never download
+  --font-variation <axes>  Variable-font axes, e.g. wght=560,opsz=14 (built-in fonts switch
+                           to their variable version; wght defaults to 600, or 700 with --bold)
+  --font-features <tags>   OpenType features, e.g. ss01,zero,tnum (prefix - to disable: -liga)
 
 Sizing:
   --font-size <n>          Font size in SVG units (auto-fit to viewBox if omitted)
@@ -108,38 +253,13 @@ Examples:
     process.exit(1);
   }
 
-  // Load font (self-contained to avoid depending on main-flow args)
-  async function loadTextFont() {
-    if (ta['font-file']) {
-      const buf = await readFile(resolve(ta['font-file']));
-      return parseFont(buf);
-    }
-    if (ta['google-font']) {
-      const urls = getGoogleFontUrl(ta['google-font'], ta['font-weight'], ta.bold, ta.italic, ta['font-subset']);
-      for (const url of urls) {
-        try {
-          const resp = await fetch(url);
-          if (!resp.ok) continue;
-          return parseFont(await resp.arrayBuffer());
-        } catch { /* try next subset */ }
-      }
-      console.error(`Error: Could not load Google Font "${ta['google-font']}". Check spelling.`);
-      process.exit(1);
-    }
-    const url = getFontUrl(ta.font, ta.bold, ta.italic);
-    if (!url) {
-      console.error(`Error: Font "${ta.font}" does not have the requested variant (bold=${ta.bold}, italic=${ta.italic}).`);
-      process.exit(1);
-    }
-    const resp = await fetch(url);
-    if (!resp.ok) {
-      console.error(`Error: Failed to download font from ${url}`);
-      process.exit(1);
-    }
-    return parseFont(await resp.arrayBuffer());
+  let font;
+  try {
+    font = await loadFont(fontOptionsFromArgs(ta));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
   }
-
-  const font = await loadTextFont();
   const vbSize = parseFloat(ta.size);
   const padding = parseFloat(ta.padding);
   const color = ta.color;
@@ -203,12 +323,342 @@ Examples:
   process.exit(0);
 }
 
+// ── Batch Subcommand ────────────────────────────────────────────────
+if (process.argv[2] === 'batch') {
+  const { values: ba, positionals } = parseArgs({
+    args: process.argv.slice(3),
+    options: {
+      manifest: { type: 'string', short: 'm' },
+      out:      { type: 'string', short: 'o' },
+      offline:  { type: 'boolean', default: false },
+      help:     { type: 'boolean', short: 'h', default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  if (ba.help) {
+    console.log(`
+Batch Generation — Subcommand
+
+Generates a whole icon set from a JSON manifest. Each distinct font is
+loaded once and a single modifier engine is shared by every icon.
+
+Usage:
+  node cli.js batch <manifest.json> [options]
+
+Options:
+  -m, --manifest <file>    Manifest file (alternative to the positional argument)
+  -o, --out <dir>          Output directory (overrides the manifest's "out")
+  --offline                Use bundled/cached fonts only — never download
+
+Manifest:
+  {
+    "out": "./icons",
+    "defaults": { "shape": "circle", "color": "blue", "font": "open-sans" },
+    "icons": [
+      { "name": "class", "letter": "C" },
+      { "name": "interface", "letter": "I", "color": "green" },
+      { "kind": "abstract-class" },
+      { "name": "enum", "letter": "E", "shape": "hexagon", "color": "purple",
+        "badges": [{ "svg": "badges/lock.svg", "anchor": "br", "gap": 1 }] }
+    ]
+  }
+
+Icon keys (all optional except "letter" or "kind"; "defaults" accepts the same keys):
+  name, kind, letter, shape, color, accent, lightFill, lightStroke,
+  darkFill, darkStroke, font, fontFile, googleFont, fontWeight,
+  fontSubset, bold, italic, offline, fontVariation, fontFeatures,
+  fontSize, xOffset, yOffset, strokeWidth, shapeScale, cornerRadius,
+  sides, rotation, strokeAlign, dashed, snap, centering, letterStyle,
+  stemWidth, layout, letterSpacing, customShape, modifier, badges,
+  visibility, visibilityLayout, sizes, format, scale, replaces,
+  contrastCheck, minContrast, lightOnly, darkOnly
+
+"sizes" is an array or comma-separated list of icon sizes (default [16]);
+each size gets its IntelliJ suffix (@2x for 32, @20x20 for 20, ...).
+"format": "png" rasterizes instead (requires the optional canvas package),
+with one file per "scale" (e.g. [1, 2, 4] → name.png, name@2x.png, name@4x.png).
+
+Icons holder (optional, top level):
+  "holder": { "file": "src/main/kotlin/MyLangIcons.kt", "package": "com.example",
+              "className": "MyLangIcons", "resourceRoot": "/icons" }
+  Writes a Kotlin object (.kt) or Java interface (.java) with one
+  IconLoader.getIcon() constant per icon, regenerated from the whole set.
+  Icons without a base-size light file (<name>.svg) get no constant.
+
+expUI icon mappings (optional, top level):
+  "mappings": { "file": "src/main/resources/MyLangIconMappings.json",
+                "resourceRoot": "/icons/expui" }
+  Icons with "replaces" (classic icon path or array of paths) are merged
+  into the file as new icon → classic icon(s); other entries are kept.
+  resourceRoot defaults to holder.resourceRoot, then /icons.
+
+Theme presets (optional, top level):
+  "themeFiles": ["MyTheme.theme.json", "MyTheme_dark.theme.json"]
+  Named colors of the themes become presets usable as "color".
+
+Shape packs (optional, top level):
+  "shapePacks": ["shapes/house.json"]
+  Shapes of the packs (.json or .js/.mjs modules) become usable as "shape".
+
+Relative paths (out, fontFile, customShape, badges[].svg, holder.file,
+mappings.file, themeFiles, shapePacks) are resolved against the manifest's
+directory.
+
+Examples:
+  node cli.js batch icons.json
+  node cli.js batch icons.json -o ./build/icons
+`);
+    process.exit(0);
+  }
+
+  const manifestFile = ba.manifest || positionals[0];
+  if (!manifestFile) {
+    console.error('Error: a manifest file is required. Run "node cli.js batch --help" for usage.');
+    process.exit(1);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(resolve(manifestFile), 'utf-8'));
+  } catch (e) {
+    console.error(`Error: Could not read manifest "${manifestFile}": ${e.message}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(manifest.icons) || manifest.icons.length === 0) {
+    console.error(`Error: Manifest "${manifestFile}" has no "icons" array.`);
+    process.exit(1);
+  }
+
+  const baseDir = dirname(resolve(manifestFile));
+  const defaults = manifest.defaults || {};
+  if (manifest.themeFiles) {
+    try {
+      await loadThemePresets(manifest.themeFiles, { cwd: baseDir });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  if (manifest.shapePacks) {
+    try {
+      await loadShapePacks(manifest.shapePacks, { cwd: baseDir });
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  const outDir = ba.out ? resolve(ba.out) : resolve(baseDir, manifest.out || '.');
+
+  // composeIcon() caches fonts, imported shapes and the modifier engine,
+  // so each distinct font is loaded once for the whole set.
+  await mkdir(outDir, { recursive: true });
+  const warnings = new Set();
+  const failures = [];
+  const holderIcons = [];
+  const mappingPairs = [];
+  const mappingRoot = manifest.mappings?.resourceRoot ?? manifest.holder?.resourceRoot ?? '/icons';
+  let created = 0;
+
+  for (const [i, entry] of manifest.icons.entries()) {
+    let icon = { ...defaults, ...entry };
+    let baseName = icon.name || `icon-${i + 1}`;
+    try {
+      // A kind's values take precedence over "defaults", the entry's own keys over both
+      icon = { ...defaults, ...applyElementKind({ kind: defaults.kind, ...entry }) };
+      baseName = icon.name || icon.letter?.replace(/\n/g, '').toLowerCase() || baseName;
+      if (!icon.letter) throw new Error('"letter" (or "kind") is required.');
+
+      const output = parseOutputFormat(icon.format, icon.scale);
+      const sizes = parseSizes(icon.sizes ?? [BASE_ICON_SIZE]);
+      if (output.format === 'png') checkPngNaming(sizes, output.scales);
+      const fileName = `${baseName}.${output.format}`;
+      let wroteBaseFile = false;
+      for (const size of sizes) {
+        const result = await composeIcon({ ...icon, size, offline: ba.offline || icon.offline, cwd: baseDir });
+        for (const w of result.warnings) warnings.add(`${baseName}: ${w}`);
+
+        const sizeSuffix = getSizeSuffix(size);
+        const variants = [];
+        if (!icon.darkOnly) variants.push({ suffix: '', svg: result.light });
+        if (!icon.lightOnly) variants.push({ suffix: '_dark', svg: result.dark });
+
+        for (const v of variants) {
+          for (const outPath of await writeIcon(outDir, `${baseName}${sizeSuffix}`, v.suffix, v.svg, output)) {
+            console.log(`Created: ${outPath}`);
+            created++;
+            if (basename(outPath) === fileName) wroteBaseFile = true;
+          }
+        }
+      }
+
+      // Holder constants and mappings point at the base-size light file, so only icons that have one get them
+      if (wroteBaseFile) {
+        holderIcons.push({ name: baseName, fileName });
+        if (icon.replaces) mappingPairs.push({ newPath: iconResourcePath(mappingRoot, fileName), oldPaths: icon.replaces });
+      } else if (manifest.holder || (manifest.mappings && icon.replaces)) {
+        warnings.add(`${baseName}: no ${fileName} written (darkOnly, sizes or scale leave it out) — left out of the holder and mappings.`);
+      }
+    } catch (e) {
+      failures.push(`${baseName}: ${e.message}`);
+    }
+  }
+
+  const failedIcons = failures.length;
+  if (manifest.holder) {
+    const { file, package: packageName, className, resourceRoot } = manifest.holder;
+    try {
+      if (!file) throw new Error('"holder.file" is required.');
+      const holderPath = await writeIconHolder(
+        { file: resolve(baseDir, file), packageName, className, resourceRoot }, holderIcons, { merge: false });
+      console.log(`Created: ${holderPath}`);
+    } catch (e) {
+      failures.push(`holder: ${e.message}`);
+    }
+  }
+  if (manifest.mappings) {
+    try {
+      if (!manifest.mappings.file) throw new Error('"mappings.file" is required.');
+      const mappingsPath = await writeIconMappings(resolve(baseDir, manifest.mappings.file), mappingPairs);
+      console.log(`Updated: ${mappingsPath} (${mappingPairs.length} mapping(s))`);
+    } catch (e) {
+      failures.push(`mappings: ${e.message}`);
+    }
+  }
+
+  console.log(`\n${created} file(s) written for ${manifest.icons.length - failedIcons}/${manifest.icons.length} icon(s).`);
+  if (warnings.size > 0) {
+    console.error(`\n\x1b[33m${warnings.size} warning(s):\x1b[0m`);
+    for (const w of warnings) console.error(`\x1b[33m  ${w}\x1b[0m`);
+  }
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} failure(s):`);
+    for (const f of failures) console.error(`  ${f}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+// ── Font Cache Subcommand ───────────────────────────────────────────
+if (process.argv[2] === 'font-cache') {
+  const { values: fa, positionals } = parseArgs({
+    args: process.argv.slice(3),
+    options: {
+      url:           { type: 'string' },
+      'google-font': { type: 'string' },
+      'font-weight': { type: 'string', default: '600' },
+      'font-subset': { type: 'string' },
+      bold:          { type: 'boolean', default: false },
+      italic:        { type: 'boolean', default: false },
+      help:          { type: 'boolean', short: 'h', default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+  const [action, ...files] = positionals;
+
+  if (fa.help || !action) {
+    console.log(`
+Font Cache — Subcommand
+
+Downloaded fonts are kept in an on-disk, content-addressed cache that is
+checked before every download. Seed it from local files to generate icons
+without network access (see --offline). The default Open Sans SemiBold and
+Bold variants ship with the package and never need the cache.
+
+Usage:
+  node cli.js font-cache seed <file...> [options]
+  node cli.js font-cache list
+  node cli.js font-cache clear
+  node cli.js font-cache path
+
+Seed options:
+  --url <url>              Source URL the file stands in for. Without it, the
+                           file name is matched against the built-in font URLs
+                           (e.g. Inter-SemiBold.ttf, OpenSans-Italic.ttf)
+  --google-font <name>     Seed the Google Font URL for this family instead
+  --font-weight <weight>   Google font weight (default: 600)
+  --font-subset <name>     Google font subset (default: latin)
+  --bold                   Google font bold variant
+  --italic                 Google font italic variant
+
+Location: $LETTER_ICON_FONT_CACHE, else $XDG_CACHE_HOME/letter-icon-composer/fonts,
+else ~/.cache/letter-icon-composer/fonts (current: ${getFontCacheDir()})
+
+Examples:
+  node cli.js font-cache seed ~/fonts/Inter-SemiBold.ttf ~/fonts/Inter-Bold.ttf
+  node cli.js font-cache seed roboto-latin-600-normal.woff --google-font Roboto
+  node cli.js -l N --font inter --offline
+`);
+    process.exit(0);
+  }
+
+  if (action === 'path') {
+    console.log(getFontCacheDir());
+  } else if (action === 'list') {
+    const entries = await listFontCache();
+    if (entries.length === 0) {
+      console.log(`Font cache is empty (${getFontCacheDir()}).`);
+    } else {
+      console.log(`Cached fonts (${getFontCacheDir()}):\n`);
+      for (const e of entries) {
+        console.log(`  ${e.hash.slice(0, 12)}  ${String(Math.round(e.size / 1024)).padStart(5)} KB  ${e.url}`);
+      }
+    }
+  } else if (action === 'clear') {
+    await clearFontCache();
+    console.log(`Cleared ${getFontCacheDir()}`);
+  } else if (action === 'seed') {
+    if (files.length === 0) {
+      console.error('Error: seed needs at least one font file. Run "node cli.js font-cache --help" for usage.');
+      process.exit(1);
+    }
+    if (fa.url && files.length > 1) {
+      console.error('Error: --url can only be used with a single file.');
+      process.exit(1);
+    }
+
+    const builtinUrls = ['open-sans', 'inter'].flatMap(key => [
+      ...[false, true].flatMap(bold => [false, true].map(italic => getFontUrl(key, bold, italic))),
+      ...[false, true].map(italic => getFontUrl(key, false, italic, true)),
+    ]).filter(Boolean);
+
+    for (const file of files) {
+      let url = fa.url;
+      if (!url && fa['google-font']) {
+        url = getGoogleFontUrl(fa['google-font'], fa['font-weight'], fa.bold, fa.italic, fa['font-subset'])[0];
+      }
+      url ||= matchFontUrl(file, builtinUrls);
+      if (!url) {
+        console.error(`Error: Could not tell which font "${file}" is. Pass --url <url> or --google-font <name>.`);
+        process.exit(1);
+      }
+      try {
+        const entry = await seedFontCache(resolve(file), url);
+        console.log(`Seeded: ${url} (${entry.hash.slice(0, 12)})`);
+      } catch (e) {
+        console.error(`Error: Could not seed "${file}": ${e.message}`);
+        process.exit(1);
+      }
+    }
+  } else {
+    console.error(`Unknown font-cache action: "${action}". Use seed, list, clear, or path.`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
 // ── CLI Argument Parsing ─────────────────────────────────────────────
 const { values: args } = parseArgs({
   options: {
     letter:      { type: 'string',  short: 'l' },
-    shape:       { type: 'string',  short: 's', default: 'circle' },
-    color:       { type: 'string',  short: 'c', default: 'blue' },
+    kind:        { type: 'string',  short: 'k' },
+    shape:       { type: 'string',  short: 's' },
+    color:       { type: 'string',  short: 'c' },
+    accent:      { type: 'string' },
+    'theme-file': { type: 'string', multiple: true },
+    'shape-pack': { type: 'string', multiple: true },
     font:        { type: 'string',  short: 'f', default: 'open-sans' },
     'font-file': { type: 'string' },
     'google-font': { type: 'string' },
@@ -216,11 +666,26 @@ const { values: args } = parseArgs({
     'font-subset': { type: 'string' },
     bold:        { type: 'boolean', default: false },
     italic:      { type: 'boolean', default: false },
+    offline:     { type: 'boolean', default: false },
+    'font-variation': { type: 'string' },
+    'font-features':  { type: 'string' },
     'font-size': { type: 'string' },
     'x-offset':  { type: 'string', default: '0' },
     'y-offset':  { type: 'string', default: '0' },
     'stroke-width': { type: 'string', default: '1' },
     'shape-scale':  { type: 'string' },
+    'corner-radius': { type: 'string' },
+    sides:          { type: 'string' },
+    rotation:       { type: 'string' },
+    'stroke-align': { type: 'string' },
+    dashed:         { type: 'boolean', default: false },
+    snap:           { type: 'boolean', default: false },
+    centering:      { type: 'string', default: 'bbox' },
+    'letter-style': { type: 'string', default: 'fill' },
+    'stem-width':   { type: 'string' },
+    layout:         { type: 'string', default: 'inline' },
+    'letter-spacing': { type: 'string', default: '0' },
+    sizes:       { type: 'string' },
     modifier:    { type: 'string',  short: 'm' },
     'badge-svg':      { type: 'string', multiple: true },
     'badge-x-offset': { type: 'string', multiple: true },
@@ -228,6 +693,8 @@ const { values: args } = parseArgs({
     'badge-scale':    { type: 'string', multiple: true },
     'badge-gap':      { type: 'string', multiple: true },
     'badge-anchor':   { type: 'string', multiple: true },
+    visibility:          { type: 'string' },
+    'visibility-layout': { type: 'string' },
     'custom-shape': { type: 'string' },
     'base-icon':    { type: 'string' },
     name:        { type: 'string',  short: 'n' },
@@ -236,9 +703,19 @@ const { values: args } = parseArgs({
     'light-stroke': { type: 'string' },
     'dark-fill':    { type: 'string' },
     'dark-stroke':  { type: 'string' },
+    'min-contrast': { type: 'string' },
+    contrast:       { type: 'string', default: 'warn' },
     'light-only':   { type: 'boolean', default: false },
     'dark-only':    { type: 'boolean', default: false },
     stdout:      { type: 'boolean', default: false },
+    format:      { type: 'string', default: 'svg' },
+    holder:           { type: 'string' },
+    'holder-package': { type: 'string' },
+    'holder-class':   { type: 'string' },
+    'resource-root':  { type: 'string', default: '/icons' },
+    'mapping-file':   { type: 'string' },
+    replaces:         { type: 'string', multiple: true },
+    scale:       { type: 'string', default: '1' },
     list:        { type: 'string' },
     help:        { type: 'boolean', short: 'h', default: false },
   },
@@ -251,10 +728,20 @@ Letter Icon Composer — CLI
 
 Usage:
   node cli.js --letter <char> [options]
+  node cli.js --kind <name|all> [options]
   node cli.js --base-icon <svg-file> [--badge-svg <file>] [options]
 
 Required (letter mode):
   -l, --letter <char>      Letter(s) to render (e.g. N, Ab)
+  -k, --kind <name|all>    Or start from an element kind (class, interface, enum, method, ...):
+                           sets letter, shape, color, modifier and file name, each of which
+                           the other options override; "all" generates the whole catalog
+
+Layout:
+  --layout <name>          ${TEXT_LAYOUTS.join(', ')} (default: inline). stacked puts the
+                           text on two lines (split in half, or at a newline); superscript and
+                           subscript raise or lower everything after the first character
+  --letter-spacing <em>    Extra space between glyphs, in em (e.g. 0.05 or -0.03; default: 0)
 
 Modes:
   --custom-shape <file>    Use an imported SVG as the background shape (letter mode)
@@ -262,11 +749,25 @@ Modes:
 
 Shape & Color:
   -s, --shape <name>       Shape: ${Object.keys(SHAPES).join(', ')} (default: circle)
+  --shape-pack <file>      Add the shapes of a shape pack (.json, or .js/.mjs module) — repeatable
+  --corner-radius <n>      Corner radius (${SHAPE_PARAMS.cornerRadius.min}–${SHAPE_PARAMS.cornerRadius.max}) of shapes that have one, on the stroke's outer
+                           edge; unset, the shape keeps its own corners (--list shapes shows them at a 1px stroke)
+  --sides <n>              Number of sides of the polygon shape (${SHAPE_PARAMS.sides.min}–${SHAPE_PARAMS.sides.max}, default: 6)
+  --rotation <deg>         Rotation of the polygon shape (default: 0, a vertex on top)
+  --stroke-align <pos>     Stroke position relative to the shape's outline: ${STROKE_ALIGNMENTS.join(', ')}
+                           (default: center). outside may reach into the 1px border
+  --dashed                 Split the shape's outline into evenly spaced dashes (any shape,
+                           including imported ones), e.g. for unresolved or virtual elements
   -c, --color <preset>     Color preset: ${PRESETS.map(p => p.name.toLowerCase()).join(', ')} (default: blue)
+  --accent <hex>           Derive the light/dark preset from one brand color (replaces --color)
+  --theme-file <file>      Add the named colors of an IntelliJ .theme.json as presets — repeat
+                           for a light/dark pair; a half the theme(s) lack is derived
   --light-fill <hex>       Override light fill color
   --light-stroke <hex>     Override light stroke/letter color
   --dark-fill <hex>        Override dark fill color
   --dark-stroke <hex>      Override dark stroke/letter color
+  --min-contrast <ratio>   Minimum letter/fill and shape/IDE-background contrast (default: ${DEFAULT_MIN_CONTRAST})
+  --contrast <mode>        On low contrast: warn, error (exit 1) or off (default: warn)
 
 Font:
   -f, --font <key>         Built-in font: open-sans, inter (default: open-sans)
@@ -276,6 +777,10 @@ Font:
   --font-subset <name>     Fontsource subset: latin, symbols, cyrillic, etc. (default: latin)
   --bold                   Use bold variant
   --italic                 Use italic variant
+  --offline                Use bundled/cached fonts only — never download
+  --font-variation <axes>  Variable-font axes, e.g. wght=560,opsz=14 (built-in fonts switch
+                           to their variable version; wght defaults to 600, or 700 with --bold)
+  --font-features <tags>   OpenType features, e.g. ss01,zero,tnum (prefix - to disable: -liga)
 
 Fine Tuning:
   --font-size <n>          Font size in SVG units (auto-calibrated if omitted)
@@ -283,6 +788,16 @@ Fine Tuning:
   --y-offset <n>           Vertical offset (default: 0)
   --stroke-width <n>       Shape stroke width (default: 1)
   --shape-scale <n>        Shape scale factor (default: per-shape or 1.0)
+  --sizes <list>           Icon sizes to generate, e.g. 16,20,32 (default: 16). Geometry is
+                           refit per size; files get IntelliJ suffixes (@2x, @20x20)
+  --centering <mode>       Letter centering: bbox (bounding box) or optical (ink balance and
+                           the shape's visual center) (default: bbox)
+  --letter-style <style>   fill, outline (stroked letter), inverse (solid shape, white letter)
+                           or knockout (solid shape, letter cut out) (default: fill)
+  --stem-width <n|stroke>  Embolden or thin the letter to this stem width in pixels, or match
+                           --stroke-width with "stroke" (offsetting requires paper-jsdom)
+  --snap                   Snap the letter's stems, bars and position to the pixel grid of
+                           each size, for crisper rendering at 100%
 
 Modifier:
   -m, --modifier <name>    Badge modifier: ${Object.keys(MODIFIERS).join(', ')} (default: none)
@@ -293,51 +808,128 @@ Modifier:
   --badge-gap <n>          Per-badge gap around silhouette cutout (repeatable, default: 1)
   --badge-anchor <pos>     Per-badge anchor: tl, t, tr, l, c, r, bl, b, br (repeatable, default: br)
 
+Visibility:
+  --visibility <name>      Visibility marker: ${Object.keys(VISIBILITY_MARKERS).join(', ')}
+  --visibility-layout <l>  ${VISIBILITY_LAYOUTS.join(' or ')}: beside the icon on a canvas twice as wide (32×16 at
+                           16px), or cut into its bottom-left corner like a badge (default: row)
+
 Output:
   -n, --name <name>        Base file name (default: derived from letter)
   -o, --out <dir>          Output directory (default: current directory)
   --light-only             Only generate light variant
   --dark-only              Only generate dark variant
   --stdout                 Print SVG to stdout instead of writing files
+  --format <svg|png>       Output format (default: svg). png needs the optional canvas package
+  --scale <list>           PNG scale factors, e.g. 1,2,4 → name.png, name@2x.png, name@4x.png,
+                           name@2x_dark.png, ... (default: 1). Scales other than 1 need --sizes 16
+
+Icons Holder:
+  --holder <file>          Add this icon to a Kotlin object (.kt) or Java interface (.java)
+                           of IconLoader.getIcon() constants, creating or updating the file
+  --holder-package <pkg>   Package for the holder (default: kept from the existing file)
+  --holder-class <name>    Holder class name (default: file name, e.g. MyLangIcons)
+  --resource-root <path>   Classpath folder the icons are served from (default: /icons)
+
+expUI Icon Mappings:
+  --mapping-file <file>    Merge "new icon → classic icon" into an *IconMappings.json file
+  --replaces <path>        Classic icon this icon replaces, e.g. /icons/nodes/class.png
+                           (repeatable; the new path is <resource-root>/<name>.svg)
 
 Batch:
-  --list <preset|shape|modifier>  List available presets, shapes, or modifiers and exit
+  --list <preset|shape|kind|modifier|visibility|contrast|font>
+                           List available presets, shapes, element kinds, modifiers or
+                           visibility markers, report preset contrast (honors --min-contrast),
+                           or show the selected font's variation axes and OpenType features, and exit
 
 Examples:
   node cli.js -l N -s circle -c blue -o ./icons/
   node cli.js -l E -s hexagon -c purple --name element
   node cli.js -l R -s document -c blue --font inter --bold
+  node cli.js -l C -s circle -c blue --sizes 16,20,32   # c.svg, c@20x20.svg, c@2x.svg (+ _dark)
   node cli.js -l N -s circle -c blue --badge-svg badge.svg
   node cli.js -l N -s circle -c blue --badge-svg a.svg --badge-svg b.svg --badge-anchor br --badge-anchor tl
   node cli.js -l N --custom-shape my-shape.svg -c blue -o ./icons/
+  node cli.js -l C -s circle -c blue --format png --scale 1,2,4
+  node cli.js -l C -n class -o src/main/resources/icons --holder src/main/kotlin/MyLangIcons.kt --holder-package com.example
+  node cli.js -l C -n class -o src/main/resources/icons/expui --resource-root /icons/expui \\
+    --mapping-file src/main/resources/MyLangIconMappings.json --replaces /icons/nodes/class.png
   node cli.js --base-icon logo.svg --badge-svg badge.svg -o ./icons/  # badge composer
   node cli.js --list presets
   node cli.js --list shapes
   node cli.js --list modifiers
+  node cli.js --list kinds
+  node cli.js --list visibility
+  node cli.js --kind interface -o ./icons/         # interface.svg: I on a green circle
+  node cli.js --kind all -o ./icons/               # every element kind
+  node cli.js --kind method --visibility private -n privateMethod   # 32×16 row icon
+  node cli.js --kind field --visibility protected --visibility-layout overlay
+  node cli.js -l N --accent "#7F52FF" -o ./icons/
+  node cli.js --list presets --theme-file MyTheme.theme.json --theme-file MyTheme_dark.theme.json
+  node cli.js -l T -s acme-tag --shape-pack house-shapes.json -o ./icons/
+  node cli.js -l P -s polygon --sides 5 --corner-radius 1 --stroke-align outside
+  node cli.js -l V -s hexagon --dashed
+  node cli.js --list contrast
+  node cli.js --list font --font-file MyFont-VF.ttf
+  node cli.js -l 0 --font-features zero,ss01 -o ./icons/
+  node cli.js -l R --font-file MyFont-VF.ttf --font-variation wght=560,opsz=14 -o ./icons/
 
 Subcommands:
   node cli.js text-to-svg --text <string> [options]
     Convert text to SVG paths — useful for creating letter badges.
     Run "node cli.js text-to-svg --help" for details.
+  node cli.js batch <manifest.json> [options]
+    Generate a whole icon set from a JSON manifest.
+    Run "node cli.js batch --help" for details.
+  node cli.js font-cache <seed|list|clear|path> [options]
+    Manage the on-disk font cache used for offline generation.
+    Run "node cli.js font-cache --help" for details.
 `);
   process.exit(0);
 }
 
+// ── Theme Presets ────────────────────────────────────────────────────
+if (args['theme-file']) {
+  try {
+    await loadThemePresets(args['theme-file']);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// ── Shape Packs ──────────────────────────────────────────────────────
+if (args['shape-pack']) {
+  try {
+    await loadShapePacks(args['shape-pack']);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 // ── List Mode ────────────────────────────────────────────────────────
 if (args.list) {
   if (args.list === 'presets' || args.list === 'colors') {
     console.log('Available color presets:\n');
     const maxLen = Math.max(...PRESETS.map(p => p.name.length));
     for (const p of PRESETS) {
-      const tag = p.official ? ' (JetBrains)' : '';
+      const tag = p.official ? ' (JetBrains)' : p.theme ? ` (${p.theme})` : '';
       console.log(`  ${p.name.padEnd(maxLen)}  light: ${p.lightFill} / ${p.lightStroke}   dark: ${p.darkFill} / ${p.darkStroke}${tag}`);
     }
   } else if (args.list === 'shapes') {
     console.log('Available shapes:\n');
     const maxLen = Math.max(...Object.keys(SHAPES).map(k => k.length));
     for (const [key, shape] of Object.entries(SHAPES)) {
-      const tag = shape.official ? ' (JetBrains)' : '';
-      console.log(`  ${key.padEnd(maxLen)}  ${shape.label}${tag}`);
+      const tag = shape.official ? ' (JetBrains)' : shape.pack ? ` (${shape.pack})` : '';
+      const params = Object.entries(shape.params ?? {}).map(([k, v]) => `${k}=${v}`).join(', ');
+      console.log(`  ${key.padEnd(maxLen)}  ${shape.label}${tag}${params ? `  [${params}]` : ''}`);
+    }
+  } else if (args.list === 'kinds') {
+    console.log('Available element kinds:\n');
+    const maxLen = Math.max(...Object.keys(ELEMENT_KINDS).map(k => k.length));
+    for (const [key, kind] of Object.entries(ELEMENT_KINDS)) {
+      const modifier = kind.modifier ? ` + ${kind.modifier}` : '';
+      console.log(`  ${key.padEnd(maxLen)}  ${kind.letter} on ${kind.shape}, ${kind.color}${modifier}  → ${kind.name}.svg`);
     }
   } else if (args.list === 'modifiers') {
     console.log('Available modifiers:\n');
@@ -345,8 +937,44 @@ if (args.list) {
     for (const [key, mod] of Object.entries(MODIFIERS)) {
       console.log(`  ${key.padEnd(maxLen)}  ${mod.label}`);
     }
+  } else if (args.list === 'visibility') {
+    console.log('Available visibility markers:\n');
+    const maxLen = Math.max(...Object.keys(VISIBILITY_MARKERS).map(k => k.length));
+    for (const [key, marker] of Object.entries(VISIBILITY_MARKERS)) {
+      console.log(`  ${key.padEnd(maxLen)}  ${marker.label.padEnd(maxLen)}  light: ${marker.lightColor}   dark: ${marker.darkColor}`);
+    }
+  } else if (args.list === 'contrast') {
+    const min = args['min-contrast'] ? parseFloat(args['min-contrast']) : DEFAULT_MIN_CONTRAST;
+    const bgNames = theme => IDE_BACKGROUNDS[theme].map(b => b.name).join(' / ');
+    console.log(`Preset contrast (minimum ${min}:1) — letter on fill, shape on ${bgNames('light')} | ${bgNames('dark')}:\n`);
+    const maxLen = Math.max(...PRESETS.map(p => p.name.length));
+    const fmt = (r) => (r < min ? `\x1b[33m${r.toFixed(2)}\x1b[0m` : r.toFixed(2));
+    for (const p of PRESETS) {
+      const c = analyzeContrast(p, min);
+      const side = t => `letter ${fmt(c[t].letter)}  shape ${c[t].backgrounds.map(b => fmt(b.ratio)).join(' / ')}`;
+      console.log(`  ${p.name.padEnd(maxLen)}  light: ${side('light')}   dark: ${side('dark')}`);
+    }
+  } else if (args.list === 'font') {
+    let font;
+    try {
+      font = await loadFont(fontOptionsFromArgs(args));
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+    console.log(`${font.fullName}\n`);
+    const axes = Object.entries(font.variationAxes || {});
+    if (axes.length === 0) {
+      console.log('  Variation axes: none (static font)');
+    } else {
+      console.log('  Variation axes:');
+      for (const [tag, axis] of axes) {
+        console.log(`    ${tag}  ${axis.name.padEnd(12)}  ${axis.min}–${axis.max} (default ${axis.default})`);
+      }
+    }
+    console.log(`\n  OpenType features: ${(font.availableFeatures || []).join(', ') || 'none'}`);
   } else {
-    console.error(`Unknown list: "${args.list}". Use "presets", "shapes", or "modifiers".`);
+    console.error(`Unknown list: "${args.list}". Use "presets", "shapes", "kinds", "modifiers", "visibility", "contrast", or "font".`);
     process.exit(1);
   }
   process.exit(0);
@@ -365,282 +993,197 @@ if (isBaseIconMode && args.letter) {
   console.error('\x1b[33mWarning: --letter is ignored in badge composer mode.\x1b[0m');
 }
 
-if (!isBaseIconMode && !args.letter) {
-  console.error('Error: --letter is required (unless using --base-icon). Run with --help for usage.');
+// --kind all generates one icon per element kind
+const kindKeys = !args.kind ? null : args.kind === 'all' ? Object.keys(ELEMENT_KINDS) : [args.kind];
+if (kindKeys && !ELEMENT_KINDS[kindKeys[0]]) {
+  console.error(`Error: Unknown element kind "${args.kind}". Valid kinds: all, ${Object.keys(ELEMENT_KINDS).join(', ')}`);
+  process.exit(1);
+}
+if (kindKeys && isBaseIconMode) {
+  console.error('Error: --kind and --base-icon are mutually exclusive.');
+  process.exit(1);
+}
+if (args.kind === 'all' && (args.letter || args.name || args.replaces)) {
+  console.error('Error: --letter, --name and --replaces apply to a single icon and cannot be used with --kind all.');
   process.exit(1);
 }
 
-// Register custom shape if provided
-if (isCustomShapeMode) {
-  const shapeSvg = await readFile(resolve(args['custom-shape']), 'utf-8');
-  if (!shapeSvg.includes('<svg')) {
-    console.error(`Error: --custom-shape file "${args['custom-shape']}" does not contain valid SVG markup.`);
-    process.exit(1);
-  }
-  const label = args['custom-shape'].replace(/^.*[/\\]/, '').replace(/\.svg$/i, '');
-  const { key, shape } = createCustomShape(shapeSvg, label);
-  SHAPES[key] = shape;
-  args.shape = key;
+if (!isBaseIconMode && !args.letter && !kindKeys) {
+  console.error('Error: --letter is required (unless using --kind or --base-icon). Run with --help for usage.');
+  process.exit(1);
 }
 
-if (!isBaseIconMode && !SHAPES[args.shape]) {
-  console.error(`Error: Unknown shape "${args.shape}". Valid shapes: ${Object.keys(SHAPES).join(', ')}`);
+if (!!args['mapping-file'] !== !!args.replaces) {
+  console.error('Error: --mapping-file and --replaces must be used together.');
   process.exit(1);
 }
 
-// --badge-svg implies --modifier custom
+// ── Generate ─────────────────────────────────────────────────────────
 const badgeSvgFiles = args['badge-svg'] || [];
-if (badgeSvgFiles.length > 0 && !args.modifier) args.modifier = 'custom';
-
-// Validate badge anchors
-const VALID_ANCHORS = ['tl', 't', 'tr', 'l', 'c', 'r', 'bl', 'b', 'br'];
-const badgeAnchors = args['badge-anchor'] || [];
-for (const anchor of badgeAnchors) {
-  if (!VALID_ANCHORS.includes(anchor)) {
-    console.error(`Error: Unknown badge anchor "${anchor}". Valid anchors: ${VALID_ANCHORS.join(', ')}`);
-    process.exit(1);
-  }
+const xOffsets = args['badge-x-offset'] || [];
+const yOffsets = args['badge-y-offset'] || [];
+const scales = args['badge-scale'] || [];
+const gaps = args['badge-gap'] || [];
+const anchors = args['badge-anchor'] || [];
+
+let sizes, output;
+try {
+  sizes = parseSizes(args.sizes ?? String(BASE_ICON_SIZE));
+  output = parseOutputFormat(args.format, args.scale);
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
 }
-
-const modifierKey = args.modifier || 'none';
-if (!MODIFIERS[modifierKey]) {
-  console.error(`Error: Unknown modifier "${modifierKey}". Valid modifiers: ${Object.keys(MODIFIERS).join(', ')}`);
+if (args.stdout && output.format !== 'svg') {
+  console.error('Error: --stdout only supports SVG output.');
   process.exit(1);
 }
-
-// ── Resolve Colors ───────────────────────────────────────────────────
-let colors = {};
-if (!isBaseIconMode) {
-  const preset = findPreset(args.color);
-  if (!preset && !(args['light-fill'] && args['light-stroke'] && args['dark-fill'] && args['dark-stroke'])) {
-    console.error(`Error: Unknown color preset "${args.color}". Use --list presets to see available presets, or provide all four --light-fill/--light-stroke/--dark-fill/--dark-stroke.`);
+if (isBaseIconMode && args.sizes) {
+  console.error('\x1b[33mWarning: --sizes is ignored in badge composer mode.\x1b[0m');
+  sizes = [BASE_ICON_SIZE];
+}
+if (output.format === 'png') {
+  try {
+    checkPngNaming(sizes, output.scales);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
     process.exit(1);
   }
-  colors = {
-    lightFill:   args['light-fill']   || preset?.lightFill,
-    lightStroke: args['light-stroke'] || preset?.lightStroke,
-    darkFill:    args['dark-fill']    || preset?.darkFill,
-    darkStroke:  args['dark-stroke']  || preset?.darkStroke,
-  };
 }
-
-// ── Load Font ────────────────────────────────────────────────────────
-async function fetchFont(url) {
-  const resp = await fetch(url);
-  if (!resp.ok) return null;
-  return parseFont(await resp.arrayBuffer());
+// Holder constants and mappings point at <name>.svg (or .png), the base-size light file
+const writesBaseFile = (isBaseIconMode || !args['dark-only']) && sizes.includes(BASE_ICON_SIZE)
+  && (output.format === 'svg' || output.scales.includes(1));
+if ((args.holder || args['mapping-file']) && !args.stdout && !writesBaseFile) {
+  console.error(`Error: --holder and --mapping-file reference the ${BASE_ICON_SIZE}px light icon, which --dark-only, --sizes or --scale leave out.`);
+  process.exit(1);
 }
 
-async function loadFont() {
-  // Local file takes priority
-  if (args['font-file']) {
-    const buf = await readFile(resolve(args['font-file']));
-    return parseFont(buf);
-  }
+const composeOptions = {
+  ...fontOptionsFromArgs(args),
+  letter: isBaseIconMode ? undefined : args.letter,
+  shape: args.shape,
+  color: args.color,
+  accent: args.accent,
+  lightFill: args['light-fill'],
+  lightStroke: args['light-stroke'],
+  darkFill: args['dark-fill'],
+  darkStroke: args['dark-stroke'],
+  contrastCheck: args.contrast,
+  minContrast: args['min-contrast'] ? parseFloat(args['min-contrast']) : undefined,
+  strokeWidth: parseFloat(args['stroke-width']),
+  fontSize: args['font-size'] ? parseFloat(args['font-size']) : undefined,
+  xOffset: parseFloat(args['x-offset']),
+  yOffset: parseFloat(args['y-offset']),
+  shapeScale: args['shape-scale'] ? parseFloat(args['shape-scale']) : undefined,
+  cornerRadius: args['corner-radius'] ? parseFloat(args['corner-radius']) : undefined,
+  sides: args.sides ? Number(args.sides) : undefined,
+  rotation: args.rotation ? parseFloat(args.rotation) : undefined,
+  strokeAlign: args['stroke-align'],
+  dashed: args.dashed,
+  snap: args.snap,
+  centering: args.centering,
+  letterStyle: args['letter-style'],
+  layout: args.layout,
+  letterSpacing: parseFloat(args['letter-spacing']),
+  stemWidth: args['stem-width'] === 'stroke' ? 'stroke'
+    : args['stem-width'] ? parseFloat(args['stem-width']) : undefined,
+  modifier: args.modifier,
+  badges: badgeSvgFiles.map((svg, i) => ({
+    svg,
+    xOffset: parseFloat(xOffsets[i] ?? '0'),
+    yOffset: parseFloat(yOffsets[i] ?? '0'),
+    scale: parseFloat(scales[i] ?? '1'),
+    gap: parseFloat(gaps[i] ?? '1'),
+    anchor: anchors[i] || 'br',
+  })),
+  visibility: args.visibility,
+  visibilityLayout: args['visibility-layout'],
+  customShape: args['custom-shape'],
+  baseIcon: args['base-icon'],
+};
 
-  // Google Font
-  if (args['google-font']) {
-    const urls = getGoogleFontUrl(args['google-font'], args['font-weight'], args.bold, args.italic, args['font-subset']);
-    for (const url of urls) {
-      try {
-        const font = await fetchFont(url);
-        if (font) return font;
-      } catch { /* try next subset */ }
+const icons = (kindKeys ?? [undefined]).map(kind => applyElementKind({ ...composeOptions, kind, name: args.name }));
+
+// One result per icon and size; warnings are shared, so report each only once
+const results = [];
+const warnings = new Set();
+try {
+  for (const icon of icons) {
+    for (const size of sizes) {
+      const result = await composeIcon({ ...icon, size: isBaseIconMode ? undefined : size });
+      for (const w of result.warnings) warnings.add(icons.length > 1 ? `${icon.name}: ${w}` : w);
+      results.push({ icon, size, result });
     }
-    console.error(`Error: Could not load Google Font "${args['google-font']}". Check spelling.`);
-    process.exit(1);
   }
-
-  // Built-in font
-  const url = getFontUrl(args.font, args.bold, args.italic);
-  if (!url) {
-    console.error(`Error: Font "${args.font}" does not have the requested variant (bold=${args.bold}, italic=${args.italic}).`);
-    process.exit(1);
-  }
-
-  const font = await fetchFont(url);
-  if (!font) {
-    console.error(`Error: Failed to download font from ${url}`);
-    process.exit(1);
-  }
-  return font;
-}
-
-// ── SVG Optimization ─────────────────────────────────────────────────
-const svgoConfig = {
-  multipass: true,
-  plugins: [
-    {
-      name: 'preset-default',
-      params: {
-        overrides: {
-          inlineStyles: false,
-          cleanupEnableBackground: false,
-          removeHiddenElems: false,
-          convertShapeToPath: false,
-          moveElemsAttrsToGroup: false,
-          moveGroupAttrsToElems: false,
-          convertPathData: false,
-        },
-      },
-    },
-    'convertStyleToAttrs',
-    'cleanupListOfValues',
-    'sortAttrs',
-  ],
-};
-
-function optimizeSVG(svgString) {
-  return optimize(svgString, svgoConfig).data;
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
 }
 
-// ── Modifier Engine ──────────────────────────────────────────────────
-let applyModifier = (svg) => svg;
-if (modifierKey !== 'none') {
-  let paper = null;
-  try {
-    paper = (await import('paper-jsdom')).default;
-  } catch {
-    console.error('\x1b[33m\u26A0\uFE0F  paper-jsdom not found — using clipPath fallback (no path subtraction)\x1b[0m');
-    console.error('\x1b[33m   For cleaner output, install: \x1b[1mnpm install paper-jsdom canvas jsdom\x1b[0m\n');
-  }
-  ({ applyModifier } = await createModifierEngine(paper));
+for (const w of warnings) {
+  console.error(`\x1b[33mWarning: ${w}\x1b[0m`);
 }
 
-// Load custom badge SVG(s)
-let badgeOpts = undefined;
-if (badgeSvgFiles.length > 0) {
-  const xOffsets = args['badge-x-offset'] || [];
-  const yOffsets = args['badge-y-offset'] || [];
-  const scales = args['badge-scale'] || [];
-  const gaps = args['badge-gap'] || [];
-  badgeOpts = {
-    badges: await Promise.all(badgeSvgFiles.map(async (file, i) => {
-      const svgText = await readFile(resolve(file), 'utf-8');
-      if (!svgText.includes('<svg')) {
-        console.error(`Error: --badge-svg file "${file}" does not contain valid SVG markup.`);
-        process.exit(1);
-      }
-      return {
-        svgText,
-        xOffset: parseFloat(xOffsets[i] ?? '0'),
-        yOffset: parseFloat(yOffsets[i] ?? '0'),
-        scale: parseFloat(scales[i] ?? '1'),
-        gap: parseFloat(gaps[i] ?? '1'),
-        anchor: badgeAnchors[i] || 'br',
-      };
-    })),
-  };
+if (args.accent && !isBaseIconMode && !args.stdout) {
+  const p = derivePreset(args.accent);
+  console.log(`Accent ${args.accent} → light: ${p.lightFill} / ${p.lightStroke}   dark: ${p.darkFill} / ${p.darkStroke}`);
 }
 
-// ── Generate ─────────────────────────────────────────────────────────
+// ── Output ───────────────────────────────────────────────────────────
+// Each entry is a file stem plus theme suffix: name, name_dark, name@2x, name@2x_dark, ...
+const files = [];
+const baseNames = [];
 if (isBaseIconMode) {
-  // ── Base Icon Mode ── no letter, no font, no recoloring ──
-  const baseIconSvg = await readFile(resolve(args['base-icon']), 'utf-8');
-  if (!baseIconSvg.includes('<svg')) {
-    console.error(`Error: --base-icon file "${args['base-icon']}" does not contain valid SVG markup.`);
-    process.exit(1);
-  }
-
-  let { svg: rawSvg, viewBoxSize } = generateBaseIconSVG(baseIconSvg);
-
-  if (modifierKey !== 'none') {
-    rawSvg = applyModifier(rawSvg, modifierKey, '#000000', viewBoxSize, badgeOpts);
-  }
-
-  const finalSVG = optimizeSVG(rawSvg);
-  const baseName = args.name || args['base-icon'].replace(/^.*[/\\]/, '').replace(/\.svg$/i, '');
-
-  if (args.stdout) {
-    console.log(`<!-- ${baseName}.svg -->`);
-    console.log(finalSVG);
-  } else {
-    const outDir = resolve(args.out);
-    await mkdir(outDir, { recursive: true });
-    const outPath = join(outDir, `${baseName}.svg`);
-    await writeFile(outPath, finalSVG + '\n');
-    console.log(`Created: ${outPath}`);
-  }
+  baseNames.push(args.name || args['base-icon'].replace(/^.*[/\\]/, '').replace(/\.svg$/i, ''));
+  files.push({ name: baseNames[0], suffix: '', svg: results[0].result.light });
 } else {
-  // ── Letter Icon Mode (default) ──
-  const font = await loadFont();
-
-  const commonParams = {
-    font,
-    letter: args.letter,
-    shape: args.shape,
-    strokeWidth: parseFloat(args['stroke-width']),
-    fontSize: args['font-size'] ? parseFloat(args['font-size']) : undefined,
-    xOffset: parseFloat(args['x-offset']),
-    yOffset: parseFloat(args['y-offset']),
-    shapeScale: args['shape-scale'] ? parseFloat(args['shape-scale']) : undefined,
-  };
-
-  const lightResult = generateSVG({
-    ...commonParams,
-    fill: colors.lightFill,
-    stroke: colors.lightStroke,
-    letterColor: colors.lightStroke,
-  });
-
-  const darkResult = generateSVG({
-    ...commonParams,
-    fill: colors.darkFill,
-    stroke: colors.darkStroke,
-    letterColor: colors.darkStroke,
-  });
-
-  for (const r of [lightResult, darkResult]) {
-    if (r.error) {
-      console.error(`Warning: ${r.error}`);
-    }
-  }
-
-  let rawLight = lightResult.svg;
-  let rawDark = darkResult.svg;
-
-  if (modifierKey !== 'none') {
-    const vbs = lightResult.viewBoxSize;
-    rawLight = applyModifier(rawLight, modifierKey, colors.lightStroke, vbs, badgeOpts);
-    rawDark = applyModifier(rawDark, modifierKey, colors.darkStroke, vbs, badgeOpts);
+  // IntelliJ naming: name.svg, name_dark.svg, name@2x.svg, name@2x_dark.svg, name@20x20.svg, ...
+  for (const { icon, size, result } of results) {
+    const baseName = icon.name || icon.letter.replace(/\n/g, '').toLowerCase();
+    if (!baseNames.includes(baseName)) baseNames.push(baseName);
+    const sizeSuffix = getSizeSuffix(size);
+    if (!args['dark-only']) files.push({ name: `${baseName}${sizeSuffix}`, suffix: '', label: 'light', svg: result.light });
+    if (!args['light-only']) files.push({ name: `${baseName}${sizeSuffix}`, suffix: '_dark', label: 'dark', svg: result.dark });
   }
+}
 
-  const lightSVG = optimizeSVG(rawLight);
-  const darkSVG = optimizeSVG(rawDark);
-
-  // ── Output ───────────────────────────────────────────────────────────
-  const baseName = args.name || args.letter.toLowerCase();
-
-  if (args.stdout) {
-    if (!args['dark-only']) {
-      console.log(`<!-- ${baseName}.svg (light) -->`);
-      console.log(lightSVG);
-    }
-    if (!args['light-only']) {
-      if (!args['dark-only']) console.log();
-      console.log(`<!-- ${baseName}_dark.svg (dark) -->`);
-      console.log(darkSVG);
-    }
-  } else {
-    const outDir = resolve(args.out);
-    await mkdir(outDir, { recursive: true });
-
-    const written = [];
+if (args.stdout) {
+  files.forEach((f, i) => {
+    if (i > 0) console.log();
+    const file = `${f.name}${f.suffix}.svg`;
+    console.log(f.label ? `<!-- ${file} (${f.label}) -->` : `<!-- ${file} -->`);
+    console.log(f.svg);
+  });
+} else {
+  const outDir = resolve(args.out);
+  await mkdir(outDir, { recursive: true });
 
-    if (!args['dark-only']) {
-      const lightPath = join(outDir, `${baseName}.svg`);
-      await writeFile(lightPath, lightSVG + '\n');
-      written.push(lightPath);
+  try {
+    for (const f of files) {
+      for (const outPath of await writeIcon(outDir, f.name, f.suffix, f.svg, output)) {
+        console.log(`Created: ${outPath}`);
+      }
     }
 
-    if (!args['light-only']) {
-      const darkPath = join(outDir, `${baseName}_dark.svg`);
-      await writeFile(darkPath, darkSVG + '\n');
-      written.push(darkPath);
+    if (args.holder) {
+      const holderPath = await writeIconHolder({
+        file: resolve(args.holder),
+        packageName: args['holder-package'],
+        className: args['holder-class'],
+        resourceRoot: args['resource-root'],
+      }, baseNames.map(name => ({ name, fileName: `${name}.${output.format}` })), { merge: true });
+      console.log(`Updated: ${holderPath}`);
     }
 
-    for (const p of written) {
-      console.log(`Created: ${p}`);
+    if (args['mapping-file']) {
+      const mappingsPath = await writeIconMappings(resolve(args['mapping-file']), [{
+        newPath: iconResourcePath(args['resource-root'], `${baseNames[0]}.${output.format}`),
+        oldPaths: args.replaces,
+      }]);
+      console.log(`Updated: ${mappingsPath}`);
     }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
   }
 }
@@ -0,0 +1,757 @@
+/**
+ * Letter Icon Composer — Node.js composition pipeline.
+ *
+ * Wraps the full CLI pipeline (font loading, color resolution, shape
+ * generation, badge modifiers, SVGO optimization) in a single async
+ * `composeIcon()` call so build scripts can generate icons in-process.
+ * cli.js is a thin wrapper over this module.
+ *
+ * Node-only: reads files from disk and optimizes with svgo. The browser UI
+ * uses core.js and modifier.js directly.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve, extname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { optimize } from 'svgo';
+
+import {
+  PRESETS,
+  SHAPES,
+  MODIFIERS,
+  getModifierColor,
+  BASE_ICON_SIZE,
+  findPreset,
+  getFontUrl,
+  getGoogleFontUrl,
+  parseFont,
+  generateSVG,
+  createCustomShape,
+  registerShapePack,
+  applyElementKind,
+  resolveShapeParams,
+  unsupportedShapeParams,
+  generateBaseIconSVG,
+  scaleSvgDimensions,
+  parseHexColor,
+  analyzeContrast,
+  DEFAULT_MIN_CONTRAST,
+  derivePreset,
+  parseThemeFile,
+  presetsFromThemes,
+  CENTERING_MODES,
+  LETTER_STYLES,
+  TEXT_LAYOUTS,
+  parseFontVariation,
+  configureFont,
+  missingFontFeatures,
+  VISIBILITY_MARKERS,
+  VISIBILITY_LAYOUTS,
+  generateVisibilityMarker,
+  composeRowIcon,
+} from './core.js';
+import { createModifierEngine } from './modifier.js';
+import { getFontCacheDir, readCachedFont, writeCachedFont } from './font-cache.js';
+
+// ── SVG Optimization ─────────────────────────────────────────────────
+export const svgoConfig = {
+  multipass: true,
+  plugins: [
+    {
+      name: 'preset-default',
+      params: {
+        overrides: {
+          inlineStyles: false,
+          cleanupEnableBackground: false,
+          removeHiddenElems: false,
+          convertShapeToPath: false,
+          moveElemsAttrsToGroup: false,
+          moveGroupAttrsToElems: false,
+          convertPathData: false,
+        },
+      },
+    },
+    'convertStyleToAttrs',
+    'cleanupListOfValues',
+    'sortAttrs',
+  ],
+};
+
+/**
+ * Optimizes an SVG string with the JetBrains-recommended SVGO configuration.
+ * @param {string} svgString - Raw SVG markup
+ * @returns {string} Optimized SVG markup
+ */
+export function optimizeSVG(svgString) {
+  return optimize(svgString, svgoConfig).data;
+}
+
+// ── PNG Export ───────────────────────────────────────────────────────
+/**
+ * Rasterizes an SVG to PNG with the optional `canvas` package (librsvg
+ * renders the SVG, clip paths and badge cutouts included).  The SVG is
+ * re-sized before rendering, so every scale is drawn from vector data.
+ * @param {string} svgString - Final SVG markup
+ * @param {number} [scale=1] - Pixels per SVG unit (2 → @2x)
+ * @returns {Promise<Buffer>} PNG data
+ */
+export async function rasterizeSVG(svgString, scale = 1) {
+  if (!(scale > 0)) throw new Error(`Invalid PNG scale "${scale}". Scale must be a positive number.`);
+
+  let canvasLib;
+  try {
+    canvasLib = await import('canvas');
+  } catch {
+    throw new Error('PNG export requires the optional "canvas" package: npm install canvas');
+  }
+  const { createCanvas, loadImage } = canvasLib.default ?? canvasLib;
+
+  const { svg, width, height } = scaleSvgDimensions(svgString, scale);
+  const image = await loadImage(Buffer.from(svg));
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  return canvas.toBuffer('image/png');
+}
+
+// ── SVG Sources ──────────────────────────────────────────────────────
+/**
+ * Resolves an SVG option that may be inline markup or a file path.
+ * Relative paths are resolved against `cwd`.
+ */
+async function readSvgSource(source, what, cwd) {
+  const svgText = source.includes('<svg') ? source : await readFile(resolve(cwd, source), 'utf-8');
+  if (!svgText.includes('<svg')) {
+    throw new Error(`${what} "${source}" does not contain valid SVG markup.`);
+  }
+  return svgText;
+}
+
+function svgSourceLabel(source, fallback) {
+  if (source.includes('<svg')) return fallback;
+  return source.replace(/^.*[/\\]/, '').replace(/\.svg$/i, '');
+}
+
+// ── Font Loading ─────────────────────────────────────────────────────
+// Fonts are cached by source so repeated calls (e.g. batch generation)
+// load each distinct font only once.  Downloads also go through the
+// on-disk font cache (font-cache.js), and the default Open Sans variants
+// ship in fonts/ so the default command needs no network at all.
+const fontCache = new Map();
+
+const BUNDLED_FONTS = {
+  'open-sans': { regular: 'OpenSans-SemiBold.ttf', bold: 'OpenSans-Bold.ttf' },
+};
+
+/**
+ * Returns the path of a font file shipped with the package, if any.
+ * @param {string} key - Built-in font key
+ * @param {boolean} bold - Bold variant
+ * @param {boolean} italic - Italic variant (not bundled)
+ * @returns {string|null}
+ */
+export function getBundledFontPath(key, bold, italic) {
+  const entry = BUNDLED_FONTS[key];
+  if (!entry || italic) return null;
+  return fileURLToPath(new URL(`./fonts/${bold ? entry.bold : entry.regular}`, import.meta.url));
+}
+
+async function fetchFont(url, offline) {
+  const cached = await readCachedFont(url);
+  if (cached) return parseFont(cached);
+  if (offline) return null;
+
+  const resp = await fetch(url);
+  if (!resp.ok) return null;
+  const buf = await resp.arrayBuffer();
+  // Parse before caching so a bad download never lands in the cache
+  const font = parseFont(buf);
+  try {
+    await writeCachedFont(url, buf);
+  } catch { /* the disk cache is best-effort */ }
+  return font;
+}
+
+function offlineError(what, url) {
+  return new Error(`${what} is not in the font cache (${getFontCacheDir()}) and offline mode is on. ` +
+    `Seed it with: node cli.js font-cache seed <file> --url ${url}`);
+}
+
+async function loadFontUncached({ font, fontFile, googleFont, fontWeight, fontSubset, bold, italic, offline, variable }, cwd) {
+  // Local file takes priority
+  if (fontFile) {
+    return parseFont(await readFile(resolve(cwd, fontFile)));
+  }
+
+  // Google Font
+  if (googleFont) {
+    const urls = getGoogleFontUrl(googleFont, fontWeight, bold, italic, fontSubset);
+    for (const url of urls) {
+      try {
+        const loaded = await fetchFont(url, offline);
+        if (loaded) return loaded;
+      } catch { /* try next subset */ }
+    }
+    if (offline) throw offlineError(`Google Font "${googleFont}"`, urls[0]);
+    throw new Error(`Could not load Google Font "${googleFont}". Check spelling.`);
+  }
+
+  // Built-in font — bundled file first, then cache, then network.
+  // Only static files are bundled; variable ones always come via the cache.
+  const bundled = variable ? null : getBundledFontPath(font, bold, italic);
+  if (bundled) {
+    try {
+      return parseFont(await readFile(bundled));
+    } catch { /* fall through to cache/network */ }
+  }
+
+  const url = getFontUrl(font, bold, italic, variable);
+  if (!url) {
+    throw new Error(variable
+      ? `Font "${font}" has no variable version. Use --font-file with a variable .ttf/.otf.`
+      : `Font "${font}" does not have the requested variant (bold=${bold}, italic=${italic}).`);
+  }
+  const loaded = await fetchFont(url, offline);
+  if (!loaded) {
+    if (offline) throw offlineError(`Font "${font}" (${variable ? 'variable, ' : `bold=${bold}, `}italic=${italic})`, url);
+    throw new Error(`Failed to download font from ${url}`);
+  }
+  return loaded;
+}
+
+/**
+ * Loads a font from a local file, Google Fonts, or a built-in font key.
+ * Results are cached per source for the lifetime of the process.
+ * @param {object} [options]
+ * @param {string|object} [options.font='open-sans'] - Built-in font key, or an already parsed fontkit Font
+ * @param {string} [options.fontFile] - Path to a local .ttf/.otf/.woff file (takes priority)
+ * @param {string} [options.googleFont] - Google Font name (e.g. "Roboto")
+ * @param {string} [options.fontWeight='600'] - Google Font weight
+ * @param {string} [options.fontSubset] - Fontsource subset (default: tries latin, latin-ext, symbols, all)
+ * @param {boolean} [options.bold=false] - Use bold variant
+ * @param {boolean} [options.italic=false] - Use italic variant
+ * @param {boolean} [options.offline=false] - Never hit the network; fail if the font is neither bundled nor cached
+ * @param {string|object} [options.fontVariation] - Variable-font axes, e.g. `"wght=560,opsz=14"` (see parseFontVariation).
+ *   Built-in fonts switch to their variable files; wght defaults to 600 (700 with `bold`)
+ * @param {string|string[]|object} [options.fontFeatures] - OpenType features, e.g. `"ss01,zero,-liga"` (see parseFontFeatures)
+ * @param {string} [options.cwd=process.cwd()] - Base directory for relative paths
+ * @returns {Promise<object>} A fontkit Font object
+ */
+export async function loadFont({
+  font = 'open-sans',
+  fontFile,
+  googleFont,
+  fontWeight = '600',
+  fontSubset,
+  bold = false,
+  italic = false,
+  offline = false,
+  fontVariation,
+  fontFeatures,
+  cwd = process.cwd(),
+} = {}) {
+  const variation = parseFontVariation(fontVariation);
+  const variable = Object.keys(variation).length > 0;
+  const builtin = !fontFile && !googleFont;
+  if (builtin && typeof font === 'object') return configureFont(font, { variation, features: fontFeatures });
+  if (builtin && variable && !('wght' in variation)) variation.wght = bold ? 700 : 600;
+  if (googleFont && variable) {
+    throw new Error('Font variations are not available for Google Fonts downloads. Download the variable font and use --font-file.');
+  }
+
+  const spec = { font, fontFile, googleFont, fontWeight: String(fontWeight), fontSubset, bold: !!bold, italic: !!italic, offline: !!offline, variable };
+  const key = (fontFile ? `file:${resolve(cwd, fontFile)}`
+    : googleFont ? `google:${googleFont}:${spec.fontWeight}:${fontSubset || ''}:${spec.bold}:${spec.italic}`
+    : `builtin:${font}:${spec.bold}:${spec.italic}:${variable}`)
+    + `|${JSON.stringify(variation)}|${JSON.stringify(fontFeatures ?? null)}`;
+
+  if (!fontCache.has(key)) {
+    const pending = loadFontUncached(spec, cwd)
+      .then(loaded => configureFont(loaded, { variation, features: fontFeatures }));
+    // Don't cache failures — a later call may succeed (e.g. transient network error)
+    pending.catch(() => fontCache.delete(key));
+    fontCache.set(key, pending);
+  }
+  return fontCache.get(key);
+}
+
+// ── Modifier Engine ──────────────────────────────────────────────────
+// A single engine is shared by every composeIcon() call in the process.
+let enginePromise = null;
+let paperMissing = false;
+let reportedPaperMissing = false;
+
+function getModifierEngine() {
+  if (!enginePromise) {
+    enginePromise = (async () => {
+      let paper = null;
+      try {
+        paper = (await import('paper-jsdom')).default;
+      } catch {
+        paperMissing = true;
+      }
+      return createModifierEngine(paper);
+    })();
+  }
+  return enginePromise;
+}
+
+// ── Custom Shapes ────────────────────────────────────────────────────
+// Imported shapes are registered in SHAPES once per distinct markup and
+// parsed with jsdom's DOMParser (the browser uses its own).
+const customShapes = new Map();
+let svgDomPromise = null;
+
+function getSvgDom() {
+  if (!svgDomPromise) {
+    svgDomPromise = (async () => {
+      try {
+        const { JSDOM } = await import('jsdom');
+        return new JSDOM().window;
+      } catch {
+        return null;
+      }
+    })();
+  }
+  return svgDomPromise;
+}
+
+async function registerCustomShape(svgText, label) {
+  if (!customShapes.has(svgText)) {
+    const { key, shape, unmapped } = createCustomShape(svgText, label, await getSvgDom());
+    SHAPES[key] = shape;
+    customShapes.set(svgText, { key, unmapped });
+  }
+  return customShapes.get(svgText);
+}
+
+// ── Shape Packs ──────────────────────────────────────────────────────
+/**
+ * Loads shape packs (`.json`, or `.js`/`.mjs` modules with the pack as
+ * default export) and registers their shapes in SHAPES, so they can be used
+ * as the `shape` option.  Pack objects are registered as they are.
+ * @param {string|object|Array<string|object>} packs - Pack file path(s) or pack object(s)
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Base directory for relative paths
+ * @returns {Promise<Array<{ name: string, keys: string[] }>>} The registered packs
+ */
+export async function loadShapePacks(packs, { cwd = process.cwd() } = {}) {
+  const registered = [];
+  for (const source of [].concat(packs)) {
+    let pack = source;
+    if (typeof source === 'string') {
+      const path = resolve(cwd, source);
+      try {
+        pack = /^\.m?js$/i.test(extname(path))
+          ? (await import(pathToFileURL(path).href)).default
+          : JSON.parse(await readFile(path, 'utf-8'));
+      } catch (e) {
+        throw new Error(`Could not read shape pack "${source}": ${e.message}`);
+      }
+    }
+    try {
+      registered.push(registerShapePack(pack, await getSvgDom()));
+    } catch (e) {
+      throw new Error(typeof source === 'string' ? `${source}: ${e.message}` : e.message);
+    }
+  }
+  return registered;
+}
+
+// ── Theme Presets ────────────────────────────────────────────────────
+/**
+ * Reads IntelliJ `.theme.json` files (usually a light/dark pair) and
+ * registers their named colors as presets.  They are placed ahead of the
+ * built-ins, so findPreset() and the `color` option prefer a theme's "Blue"
+ * over the stock one; loading a theme again replaces its earlier presets.
+ * @param {string|string[]} paths - Theme file path(s)
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Base directory for relative paths
+ * @returns {Promise<object[]>} The registered presets
+ */
+export async function loadThemePresets(paths, { cwd = process.cwd() } = {}) {
+  const themes = [];
+  for (const path of [].concat(paths)) {
+    let source;
+    try {
+      source = await readFile(resolve(cwd, path), 'utf-8');
+    } catch (e) {
+      throw new Error(`Could not read theme file "${path}": ${e.message}`);
+    }
+    try {
+      themes.push(parseThemeFile(source));
+    } catch (e) {
+      throw new Error(`${path}: ${e.message}`);
+    }
+  }
+
+  const presets = presetsFromThemes(themes);
+  if (presets.length === 0) {
+    throw new Error(`No named colors found in ${[].concat(paths).join(', ')} (expected "colors" or "icons.ColorPalette").`);
+  }
+  const names = new Set(presets.map(p => p.name.toLowerCase()));
+  for (let i = PRESETS.length - 1; i >= 0; i--) {
+    if (PRESETS[i].theme && names.has(PRESETS[i].name.toLowerCase())) PRESETS.splice(i, 1);
+  }
+  PRESETS.unshift(...presets);
+  return presets;
+}
+
+// ── Color Resolution ─────────────────────────────────────────────────
+/**
+ * Resolves light/dark fill and stroke colors from a preset name (or a preset
+ * derived from an `accent` color, which takes precedence) plus optional
+ * per-value overrides.
+ * @returns {{ lightFill: string, lightStroke: string, darkFill: string, darkStroke: string }}
+ */
+export function resolveColors({ color = 'blue', accent, lightFill, lightStroke, darkFill, darkStroke } = {}) {
+  const preset = accent ? derivePreset(accent) : findPreset(color);
+  if (!preset && !(lightFill && lightStroke && darkFill && darkStroke)) {
+    throw new Error(`Unknown color preset "${color}". Valid presets: ${PRESETS.map(p => p.name.toLowerCase()).join(', ')} — or provide all four light/dark fill and stroke colors.`);
+  }
+  return {
+    lightFill:   lightFill   || preset?.lightFill,
+    lightStroke: lightStroke || preset?.lightStroke,
+    darkFill:    darkFill    || preset?.darkFill,
+    darkStroke:  darkStroke  || preset?.darkStroke,
+  };
+}
+
+// ── Contrast ─────────────────────────────────────────────────────────
+const CONTRAST_CHECKS = ['warn', 'error', 'off'];
+
+/**
+ * Runs analyzeContrast() on the resolved colors, then warns or throws per
+ * `mode`.  Colors that are not hex (e.g. CSS names) cannot be measured.
+ */
+function checkContrast(colors, mode, minContrast, warnings) {
+  if (!CONTRAST_CHECKS.includes(mode)) {
+    throw new Error(`Unknown contrast check "${mode}". Valid values: ${CONTRAST_CHECKS.join(', ')}`);
+  }
+  if (!(minContrast >= 1)) {
+    throw new Error(`Invalid minimum contrast "${minContrast}". Use a ratio of 1 or more (e.g. 3).`);
+  }
+  if (Object.values(colors).some(c => !parseHexColor(c))) {
+    if (mode !== 'off') warnings.push('contrast not checked: colors must be hex values.');
+    return null;
+  }
+
+  const contrast = analyzeContrast(colors, minContrast);
+  if (mode === 'error' && contrast.issues.length > 0) {
+    throw new Error(`Insufficient contrast:\n  ${contrast.issues.join('\n  ')}`);
+  }
+  if (mode === 'warn') {
+    for (const issue of contrast.issues) warnings.push(`low contrast — ${issue}`);
+  }
+  return contrast;
+}
+
+// ── Badges ───────────────────────────────────────────────────────────
+const VALID_ANCHORS = ['tl', 't', 'tr', 'l', 'c', 'r', 'bl', 'b', 'br'];
+
+async function loadBadges(badges, cwd) {
+  return Promise.all(badges.map(async (b) => {
+    const anchor = b.anchor || 'br';
+    if (!VALID_ANCHORS.includes(anchor)) {
+      throw new Error(`Unknown badge anchor "${anchor}". Valid anchors: ${VALID_ANCHORS.join(', ')}`);
+    }
+    return {
+      svgText: b.svgText ?? await readSvgSource(b.svg, 'Badge', cwd),
+      xOffset: b.xOffset ?? 0,
+      yOffset: b.yOffset ?? 0,
+      scale: b.scale ?? 1,
+      gap: b.gap ?? 1,
+      anchor,
+    };
+  }));
+}
+
+// ── Compose ──────────────────────────────────────────────────────────
+/**
+ * Generates a finished, badged, optimized icon — the programmatic
+ * equivalent of a single `node cli.js ...` invocation.
+ *
+ * In letter mode both theme variants are produced.  In badge composer mode
+ * (`baseIcon`) there is no letter and no recoloring, so only `light` is set
+ * and `dark` is null.
+ *
+ * With `visibility`, the marker is added last (after modifiers and badges):
+ * next to the icon on a canvas twice as wide, or cut in like a badge.
+ *
+ * SVG-valued options (`customShape`, `baseIcon`, `badges[].svg`) accept
+ * either inline markup or a file path.
+ *
+ * @param {object} options
+ * @param {string} [options.kind] - Element kind (see ELEMENT_KINDS) supplying letter, shape, color and modifier defaults
+ * @param {string} [options.letter] - Letter(s) to render (required unless `baseIcon` or `kind` is set); a newline splits layout parts
+ * @param {string} [options.shape='circle'] - Shape key (see SHAPES)
+ * @param {string} [options.color='blue'] - Color preset name
+ * @param {string} [options.accent] - Derive the preset from this hex color instead (see derivePreset)
+ * @param {string} [options.lightFill] - Override light fill color
+ * @param {string} [options.lightStroke] - Override light stroke/letter color
+ * @param {string} [options.darkFill] - Override dark fill color
+ * @param {string} [options.darkStroke] - Override dark stroke/letter color
+ * @param {string|object} [options.font='open-sans'] - Built-in font key or a parsed fontkit Font
+ * @param {string} [options.fontFile] - Local font file
+ * @param {string} [options.googleFont] - Google Font name
+ * @param {string} [options.fontWeight='600'] - Google Font weight
+ * @param {string} [options.fontSubset] - Fontsource subset
+ * @param {boolean} [options.bold=false] - Use bold variant
+ * @param {boolean} [options.italic=false] - Use italic variant
+ * @param {boolean} [options.offline=false] - Load fonts from the bundle/disk cache only
+ * @param {string|object} [options.fontVariation] - Variable-font axes, e.g. `"wght=560,opsz=14"`
+ * @param {string|string[]|object} [options.fontFeatures] - OpenType features, e.g. `"ss01,zero,-liga"`
+ * @param {number} [options.fontSize] - Font size (auto-calibrated if omitted)
+ * @param {number} [options.xOffset=0] - Horizontal letter offset
+ * @param {number} [options.yOffset=0] - Vertical letter offset
+ * @param {number} [options.strokeWidth=1] - Shape stroke width
+ * @param {number} [options.shapeScale] - Shape scale factor
+ * @param {number} [options.cornerRadius] - Corner radius of shapes that have one (see SHAPE_PARAMS)
+ * @param {number} [options.sides] - Number of sides of the polygon shape
+ * @param {number} [options.rotation] - Rotation of the polygon shape, in degrees
+ * @param {'inside'|'center'|'outside'} [options.strokeAlign='center'] - Stroke edge the corner radius is measured on
+ * @param {boolean} [options.dashed=false] - Split the shape's outline into filled dashes
+ * @param {number} [options.size=16] - Nominal icon size in pixels; geometry is refit per size (letter mode only)
+ * @param {boolean} [options.snap=false] - Snap the letter's stems and bars to the pixel grid (see snapPathToGrid)
+ * @param {'bbox'|'optical'} [options.centering='bbox'] - Center the letter's bounding box, or balance it by ink and the shape's optical center
+ * @param {'fill'|'outline'|'inverse'|'knockout'} [options.letterStyle='fill'] - Letter rendering style; knockout subtracts the letter from the shape
+ * @param {'inline'|'stacked'|'superscript'|'subscript'} [options.layout='inline'] - Text layout (see layoutText)
+ * @param {number} [options.letterSpacing=0] - Extra space between glyphs, in em
+ * @param {number|'stroke'} [options.stemWidth] - Embolden or thin the letter to this stem width in pixels (`'stroke'`: match strokeWidth)
+ * @param {string} [options.modifier] - Modifier key (default: `custom` when badges are given, else `none`)
+ * @param {Array<{svg?: string, svgText?: string, xOffset?: number, yOffset?: number, scale?: number, gap?: number, anchor?: string}>} [options.badges]
+ * @param {string} [options.visibility] - Visibility marker key (see VISIBILITY_MARKERS)
+ * @param {'row'|'overlay'} [options.visibilityLayout='row'] - Place the marker beside the icon (double-width canvas) or cut it into its bottom-left corner
+ * @param {string} [options.customShape] - Imported SVG used as the background shape
+ * @param {string} [options.baseIcon] - Imported SVG icon for badge composer mode
+ * @param {'warn'|'error'|'off'} [options.contrastCheck='warn'] - What to do when a color pair is below minContrast
+ * @param {number} [options.minContrast=2.5] - Minimum letter/fill and shape/IDE-background contrast ratio
+ * @param {boolean} [options.optimize=true] - Run SVGO on the output
+ * @param {string} [options.cwd=process.cwd()] - Base directory for relative paths
+ * @returns {Promise<{ light: string, dark: string|null, viewBoxSize: number, fontSize: number|null, contrast: object|null,
+ *   stem: { measured: number, target: number }|null, warnings: string[] }>}
+ *   `viewBoxSize` is the icon's height (row icons are twice as wide);
+ *   `contrast` is the analyzeContrast() report (null in badge composer mode or for non-hex colors);
+ *   `stem` is the letter's stem width before and after compensation, in pixels (null when stemWidth is not set)
+ */
+export async function composeIcon(options = {}) {
+  options = applyElementKind(options);
+  const {
+    letter,
+    color = 'blue',
+    strokeWidth = 1,
+    fontSize,
+    xOffset = 0,
+    yOffset = 0,
+    shapeScale,
+    cornerRadius,
+    sides,
+    rotation,
+    strokeAlign,
+    dashed = false,
+    size = BASE_ICON_SIZE,
+    snap = false,
+    centering = 'bbox',
+    letterStyle = 'fill',
+    stemWidth,
+    layout = 'inline',
+    letterSpacing = 0,
+    badges = [],
+    visibility,
+    visibilityLayout = 'row',
+    customShape,
+    baseIcon,
+    contrastCheck = 'warn',
+    minContrast = DEFAULT_MIN_CONTRAST,
+    optimize: shouldOptimize = true,
+    cwd = process.cwd(),
+  } = options;
+  let { shape = 'circle' } = options;
+
+  const warnings = [];
+  const finish = svg => shouldOptimize ? optimizeSVG(svg) : svg;
+
+  if (baseIcon && customShape) {
+    throw new Error('baseIcon and customShape are mutually exclusive.');
+  }
+  if (!baseIcon && !letter) {
+    throw new Error('letter is required (unless baseIcon is set).');
+  }
+
+  if (customShape) {
+    const shapeSvg = await readSvgSource(customShape, 'Custom shape', cwd);
+    const registered = await registerCustomShape(shapeSvg, svgSourceLabel(customShape, 'Custom'));
+    shape = registered.key;
+    if (registered.unmapped === null) {
+      warnings.push('jsdom not found — custom shape recolored by its fill/stroke attributes only (styles, classes and inherited colors are kept). Install: npm install jsdom');
+    } else if (registered.unmapped.length > 0) {
+      warnings.push(`custom shape: not recolored — ${registered.unmapped.join(', ')}`);
+    }
+  }
+  if (!baseIcon && !SHAPES[shape]) {
+    throw new Error(`Unknown shape "${shape}". Valid shapes: ${Object.keys(SHAPES).join(', ')}`);
+  }
+
+  // Badges imply the custom modifier
+  const badgeOpts = badges.length > 0 ? { badges: await loadBadges(badges, cwd) } : undefined;
+  const modifierKey = options.modifier || (badgeOpts ? 'custom' : 'none');
+  if (!MODIFIERS[modifierKey]) {
+    throw new Error(`Unknown modifier "${modifierKey}". Valid modifiers: ${Object.keys(MODIFIERS).join(', ')}`);
+  }
+
+  if (visibility && !VISIBILITY_MARKERS[visibility]) {
+    throw new Error(`Unknown visibility "${visibility}". Valid values: ${Object.keys(VISIBILITY_MARKERS).join(', ')}`);
+  }
+  if (!VISIBILITY_LAYOUTS.includes(visibilityLayout)) {
+    throw new Error(`Unknown visibility layout "${visibilityLayout}". Valid layouts: ${VISIBILITY_LAYOUTS.join(', ')}`);
+  }
+  const overlayMarker = !!visibility && visibilityLayout === 'overlay';
+  // An overlay marker is the top badge, so it needs the badge pass even without a modifier
+  const badgeKey = modifierKey === 'none' && overlayMarker ? 'custom' : modifierKey;
+
+  let applyModifier = svg => svg;
+  if (badgeKey !== 'none') {
+    ({ applyModifier } = await getModifierEngine());
+    if (paperMissing && !reportedPaperMissing) {
+      reportedPaperMissing = true;
+      warnings.push('paper-jsdom not found — using clipPath fallback (no path subtraction). For cleaner output, install: npm install paper-jsdom canvas jsdom');
+    }
+  }
+
+  // Badges per theme: the overlay marker takes its own theme color
+  const themeBadgeOpts = theme => !overlayMarker ? badgeOpts : {
+    badges: [
+      ...(badgeOpts?.badges ?? []),
+      { svgText: generateVisibilityMarker(visibility, theme), xOffset: 0, yOffset: 0, scale: 1, gap: 1, anchor: 'bl' },
+    ],
+  };
+  const addRowMarker = (svg, theme, viewBoxSize) => visibility && !overlayMarker
+    ? composeRowIcon(svg, generateVisibilityMarker(visibility, theme), viewBoxSize)
+    : svg;
+
+  // ── Base Icon Mode ── no letter, no font, no recoloring ──
+  if (baseIcon) {
+    if (letter) warnings.push('letter is ignored in badge composer mode.');
+    if (size !== BASE_ICON_SIZE) warnings.push('size is ignored in badge composer mode.');
+    const baseIconSvg = await readSvgSource(baseIcon, 'Base icon', cwd);
+    let { svg: rawSvg, viewBoxSize } = generateBaseIconSVG(baseIconSvg);
+    if (badgeKey !== 'none') {
+      rawSvg = applyModifier(rawSvg, badgeKey, getModifierColor(badgeKey, 'light', '#000000'), viewBoxSize, themeBadgeOpts('light'));
+    }
+    rawSvg = addRowMarker(rawSvg, 'light', viewBoxSize);
+    return { light: finish(rawSvg), dark: null, viewBoxSize, fontSize: null, contrast: null, stem: null, warnings };
+  }
+
+  // ── Letter Icon Mode ──
+  if (!CENTERING_MODES.includes(centering)) {
+    throw new Error(`Unknown centering "${centering}". Valid values: ${CENTERING_MODES.join(', ')}`);
+  }
+  if (!LETTER_STYLES.includes(letterStyle)) {
+    throw new Error(`Unknown letter style "${letterStyle}". Valid styles: ${LETTER_STYLES.join(', ')}`);
+  }
+  if (!TEXT_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown layout "${layout}". Valid layouts: ${TEXT_LAYOUTS.join(', ')}`);
+  }
+  if (!Number.isFinite(letterSpacing)) {
+    throw new Error(`Invalid letter spacing "${letterSpacing}". Use a value in em (e.g. 0.05).`);
+  }
+  if (stemWidth != null && stemWidth !== 'stroke' && !(stemWidth > 0)) {
+    throw new Error(`Invalid stem width "${stemWidth}". Use a width in pixels (e.g. 1) or "stroke".`);
+  }
+  if (stemWidth != null && letterStyle === 'outline') {
+    warnings.push('stemWidth is ignored for outline letters.');
+  }
+  const shapeParams = { cornerRadius, sides, rotation, strokeAlign };
+  resolveShapeParams(shape, shapeParams);
+  const ignoredParams = unsupportedShapeParams(shape, shapeParams);
+  if (ignoredParams.length > 0) {
+    warnings.push(`shape "${shape}" has no ${ignoredParams.join(', ')} — ignored.`);
+  }
+  const colors = resolveColors({ ...options, color });
+  const contrast = checkContrast(colors, contrastCheck, minContrast, warnings);
+  const font = await loadFont(options);
+  const missingFeatures = missingFontFeatures(font, options.fontFeatures);
+  if (missingFeatures.length > 0) {
+    warnings.push(`font has no OpenType feature ${missingFeatures.map(t => `"${t}"`).join(', ')} — ignored.`);
+  }
+
+  const commonParams = {
+    font,
+    letter,
+    shape,
+    strokeWidth,
+    fontSize,
+    xOffset,
+    yOffset,
+    shapeScale,
+    size,
+    snap,
+    centering,
+    letterStyle,
+    stemWidth,
+    layout,
+    letterSpacing,
+    shapeParams,
+    dashed,
+  };
+
+  const lightResult = generateSVG({
+    ...commonParams,
+    fill: colors.lightFill,
+    stroke: colors.lightStroke,
+    letterColor: colors.lightStroke,
+  });
+
+  const darkResult = generateSVG({
+    ...commonParams,
+    fill: colors.darkFill,
+    stroke: colors.darkStroke,
+    letterColor: colors.darkStroke,
+  });
+
+  for (const r of [lightResult, darkResult]) {
+    if (r.error && !warnings.includes(r.error)) warnings.push(r.error);
+  }
+
+  let rawLight = lightResult.svg;
+  let rawDark = darkResult.svg;
+
+  // Stem compensation: offset the letter outline before it is knocked out
+  if (rawLight.includes('data-stem-offset')) {
+    const { applyStemOffset } = await getModifierEngine();
+    if (paperMissing && lightResult.stem.target < lightResult.stem.measured) {
+      warnings.push(`paper-jsdom not found — letter stems cannot be thinned (${lightResult.stem.measured}px, target ${lightResult.stem.target}px). Install: npm install paper-jsdom canvas jsdom`);
+    }
+    rawLight = applyStemOffset(rawLight);
+    rawDark = applyStemOffset(rawDark);
+  }
+
+  // Knockout: cut the letter out of the shape before badges are applied
+  if (letterStyle === 'knockout') {
+    const { applyKnockout } = await getModifierEngine();
+    if (paperMissing && !reportedPaperMissing) {
+      reportedPaperMissing = true;
+      warnings.push('paper-jsdom not found — knockout letter is kept as an SVG mask. For a true path subtraction, install: npm install paper-jsdom canvas jsdom');
+    }
+    rawLight = applyKnockout(rawLight, lightResult.viewBoxSize);
+    rawDark = applyKnockout(rawDark, darkResult.viewBoxSize);
+  }
+
+  const vbs = lightResult.viewBoxSize;
+  if (badgeKey !== 'none') {
+    rawLight = applyModifier(rawLight, badgeKey, getModifierColor(badgeKey, 'light', colors.lightStroke), vbs, themeBadgeOpts('light'));
+    rawDark = applyModifier(rawDark, badgeKey, getModifierColor(badgeKey, 'dark', colors.darkStroke), vbs, themeBadgeOpts('dark'));
+  }
+  rawLight = addRowMarker(rawLight, 'light', vbs);
+  rawDark = addRowMarker(rawDark, 'dark', vbs);
+
+  return {
+    light: finish(rawLight),
+    dark: finish(rawDark),
+    viewBoxSize: lightResult.viewBoxSize,
+    fontSize: lightResult.fontSize,
+    contrast,
+    stem: lightResult.stem,
+    warnings,
+  };
+}
@@ -17,6 +17,113 @@ export function parseFont(buffer) {
   return fontkitCreate(uint8);
 }
 
+// ── Font Variations & Features ───────────────────────────────────────
+// Variable-font axes are applied with fontkit's getVariation(); OpenType
+// features are baked into the returned font's layout() so every caller
+// (calibration, bounds, paths) sees the same glyphs.
+
+const FEATURE_TAG = /^[A-Za-z0-9]{4}$/;
+
+/**
+ * Parses variation axis settings: `"wght=560,opsz=14"` → `{ wght: 560, opsz: 14 }`.
+ * @param {string|object|null} spec - Axis settings, or an already parsed object
+ * @returns {Object<string, number>}
+ * @throws {Error} On malformed entries
+ */
+export function parseFontVariation(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return { ...spec };
+  const variation = {};
+  for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+    const m = entry.match(/^([A-Za-z0-9]{4})\s*[=:]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!m) throw new Error(`Invalid font variation "${entry}". Use axis=value pairs, e.g. wght=560,opsz=14.`);
+    variation[m[1]] = parseFloat(m[2]);
+  }
+  return variation;
+}
+
+/**
+ * Parses OpenType feature toggles: `"ss01,zero,-liga"` → `{ ss01: true, zero: true, liga: false }`.
+ * @param {string|string[]|object|null} spec - Comma-separated tags (`-tag` disables), a tag array, or a parsed object
+ * @returns {Object<string, boolean>}
+ * @throws {Error} On malformed tags
+ */
+export function parseFontFeatures(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object' && !Array.isArray(spec)) return { ...spec };
+  const entries = Array.isArray(spec) ? spec : spec.split(',');
+  const features = {};
+  for (const entry of entries.map(e => e.trim()).filter(Boolean)) {
+    const off = entry.startsWith('-');
+    const tag = entry.replace(/^[-+]/, '');
+    if (!FEATURE_TAG.test(tag)) throw new Error(`Invalid OpenType feature "${entry}". Use 4-character tags, e.g. ss01,zero,-liga.`);
+    features[tag] = !off;
+  }
+  return features;
+}
+
+/**
+ * Applies variation axes and default OpenType features to a font.
+ * @param {object} font - A fontkit Font object
+ * @param {object} [options]
+ * @param {string|object} [options.variation] - Axis settings (see parseFontVariation)
+ * @param {string|string[]|object} [options.features] - Feature toggles (see parseFontFeatures)
+ * @returns {object} A fontkit Font (the original when nothing is set)
+ * @throws {Error} If the font lacks an axis or a value is outside its range
+ */
+export function configureFont(font, { variation, features } = {}) {
+  const axes = parseFontVariation(variation);
+  const toggles = parseFontFeatures(features);
+  let configured = font;
+
+  if (Object.keys(axes).length > 0) {
+    const available = font.variationAxes || {};
+    if (Object.keys(available).length === 0) {
+      throw new Error(`Font "${font.familyName}" is not a variable font (it has no variation axes).`);
+    }
+    for (const [tag, value] of Object.entries(axes)) {
+      const axis = available[tag];
+      if (!axis) {
+        throw new Error(`Font "${font.familyName}" has no "${tag}" axis. Available axes: ${Object.keys(available).join(', ')}`);
+      }
+      if (value < axis.min || value > axis.max) {
+        throw new Error(`${tag}=${value} is outside the font's range (${axis.min}–${axis.max}).`);
+      }
+    }
+    try {
+      configured = configured.getVariation(axes);
+    } catch (e) {
+      throw new Error(`Could not apply font variation: ${e.message} (variable fonts must be .ttf or .otf, not WOFF/WOFF2).`);
+    }
+  }
+
+  if (Object.keys(toggles).length > 0) {
+    const base = configured;
+    // fontkit adds its default features to the object it is given — pass a copy
+    configured = new Proxy(base, {
+      get(target, prop) {
+        if (prop === 'layout') return (text, own) => target.layout(text, own ?? { ...toggles });
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    });
+  }
+  return configured;
+}
+
+/**
+ * Returns the enabled feature tags a font does not support.
+ * @param {object} font - A fontkit Font object
+ * @param {string|string[]|object} features - Feature toggles (see parseFontFeatures)
+ * @returns {string[]}
+ */
+export function missingFontFeatures(font, features) {
+  const available = font.availableFeatures || [];
+  return Object.entries(parseFontFeatures(features))
+    .filter(([tag, on]) => on && !available.includes(tag))
+    .map(([tag]) => tag);
+}
+
 // ── Text Path Helper ─────────────────────────────────────────────────
 /**
  * Lays out text using fontkit and returns an object with `getBoundingBox()`
@@ -27,13 +134,15 @@ export function parseFont(buffer) {
  * @param {number} x - X position of the text origin
  * @param {number} y - Y baseline position (SVG y-down coordinate)
  * @param {number} fontSize - Font size in SVG units
- * @returns {{ getBoundingBox(): {x1,y1,x2,y2}, toPathData(dp?: number): string }}
+ * @param {number} [letterSpacing=0] - Extra space after each glyph, in em
+ * @returns {{ getBoundingBox(): {x1,y1,x2,y2}, getCommands(): Array<{command: string, args: number[]}>, toPathData(dp?: number): string }}
  */
-export function getTextPath(font, text, x, y, fontSize) {
+export function getTextPath(font, text, x, y, fontSize, letterSpacing = 0) {
   const run = font.layout(text);
   const s = fontSize / font.unitsPerEm;
 
   const svgParts = [];
+  const commands = [];
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
   let curX = x;
 
@@ -46,6 +155,7 @@ export function getTextPath(font, text, x, y, fontSize) {
     const p = glyph.path.scale(s, -s).translate(gx, gy);
     const svg = p.toSVG();
     if (svg) svgParts.push(svg);
+    commands.push(...p.commands);
 
     const bb = p.bbox;
     if (bb.minX < bb.maxX) {
@@ -54,7 +164,7 @@ export function getTextPath(font, text, x, y, fontSize) {
       maxX = Math.max(maxX, bb.maxX);
       maxY = Math.max(maxY, bb.maxY);
     }
-    curX += pos.xAdvance * s;
+    curX += pos.xAdvance * s + letterSpacing * fontSize;
   }
 
   // If no visible glyphs, return zero-size bounding box
@@ -68,6 +178,9 @@ export function getTextPath(font, text, x, y, fontSize) {
     getBoundingBox() {
       return { x1: minX, y1: minY, x2: maxX, y2: maxY };
     },
+    getCommands() {
+      return commands;
+    },
     toPathData(decimalPlaces) {
       if (decimalPlaces == null) return combined;
       // Round numbers in the path data to the given precision
@@ -80,6 +193,105 @@ export function getTextPath(font, text, x, y, fontSize) {
   };
 }
 
+// ── Text Layout ──────────────────────────────────────────────────────
+// inline:      one horizontal run (default)
+// stacked:     two centered lines ("JS" → J over S)
+// superscript: a main letter with a smaller raised secondary ("Tx", "C#")
+// subscript:   a main letter with a smaller lowered secondary ("F2")
+// Text is split at a newline when it has one; otherwise stacked text is
+// split in half and super/subscript use the first character as the main
+// letter.  The composed block is sized like multi-character inline text
+// (see boundFontSizeToShape).
+export const TEXT_LAYOUTS = ['inline', 'stacked', 'superscript', 'subscript'];
+
+// Gap between stacked lines, relative to the font size
+const STACKED_LINE_GAP = 0.12;
+// Secondary glyph size, gap after the main letter (both relative to the
+// main font size) and how far it is raised/lowered (relative to its height)
+const SECONDARY_SCALE = 0.6;
+const SECONDARY_GAP = 0.04;
+const SECONDARY_SHIFT = 0.3;
+
+/**
+ * Splits text into the parts of a layout.
+ * @param {string} text - Text to lay out
+ * @param {string} [layout='inline'] - One of TEXT_LAYOUTS
+ * @returns {string[]} One part for inline text (or text too short to split), else two
+ */
+export function splitLayoutText(text, layout = 'inline') {
+  if (layout === 'inline') return [text.replace(/\n/g, '')];
+  const newline = text.indexOf('\n');
+  if (newline >= 0) {
+    const parts = [text.slice(0, newline), text.slice(newline + 1).replace(/\n/g, '')];
+    return parts[0] && parts[1] ? parts : [parts[0] || parts[1]];
+  }
+  const chars = [...text];
+  if (chars.length < 2) return [text];
+  const cut = layout === 'stacked' ? Math.ceil(chars.length / 2) : 1;
+  return [chars.slice(0, cut).join(''), chars.slice(cut).join('')];
+}
+
+/**
+ * Lays out text in one of TEXT_LAYOUTS.  Inline text is a plain
+ * getTextPath() run; other layouts place each part relative to the first
+ * part's origin (x, y) and return the same path interface.
+ * @param {object} font - A fontkit Font object
+ * @param {string} text - The text to render
+ * @param {number} x - X position of the (first part's) text origin
+ * @param {number} y - Y baseline position of the (first part's) text origin
+ * @param {number} fontSize - Font size of the main text in SVG units
+ * @param {{ layout?: string, letterSpacing?: number }} [options] - Layout and letter spacing (em)
+ * @returns {ReturnType<typeof getTextPath>}
+ */
+export function layoutText(font, text, x, y, fontSize, { layout = 'inline', letterSpacing = 0 } = {}) {
+  const parts = splitLayoutText(text, layout);
+  if (parts.length === 1) return getTextPath(font, parts[0], x, y, fontSize, letterSpacing);
+
+  const [first, second] = parts;
+  const main = getTextPath(font, first, 0, 0, fontSize, letterSpacing);
+  const mb = main.getBoundingBox();
+  let placed;
+  if (layout === 'stacked') {
+    // Both lines centered on the wider one; second line below the first
+    const sb = getTextPath(font, second, 0, 0, fontSize, letterSpacing).getBoundingBox();
+    const mid = Math.max(mb.x2 - mb.x1, sb.x2 - sb.x1) / 2;
+    placed = [
+      getTextPath(font, first, x + mid - (mb.x1 + mb.x2) / 2, y, fontSize, letterSpacing),
+      getTextPath(font, second, x + mid - (sb.x1 + sb.x2) / 2,
+        y + mb.y2 + STACKED_LINE_GAP * fontSize - sb.y1, fontSize, letterSpacing),
+    ];
+  } else {
+    // Secondary glyph after the main letter, top (or bottom) aligned and shifted
+    const size2 = fontSize * SECONDARY_SCALE;
+    const sb = getTextPath(font, second, 0, 0, size2, letterSpacing).getBoundingBox();
+    const shift = SECONDARY_SHIFT * (sb.y2 - sb.y1);
+    const dy = layout === 'superscript' ? mb.y1 - sb.y1 - shift : mb.y2 - sb.y2 + shift;
+    const dx = mb.x2 + (SECONDARY_GAP + letterSpacing) * fontSize - sb.x1;
+    placed = [
+      getTextPath(font, first, x, y, fontSize, letterSpacing),
+      getTextPath(font, second, x + dx, y + dy, size2, letterSpacing),
+    ];
+  }
+
+  const boxes = placed.map(p => p.getBoundingBox());
+  return {
+    getBoundingBox() {
+      return {
+        x1: Math.min(...boxes.map(b => b.x1)),
+        y1: Math.min(...boxes.map(b => b.y1)),
+        x2: Math.max(...boxes.map(b => b.x2)),
+        y2: Math.max(...boxes.map(b => b.y2)),
+      };
+    },
+    getCommands() {
+      return placed.flatMap(p => p.getCommands());
+    },
+    toPathData(decimalPlaces) {
+      return placed.map(p => p.toPathData(decimalPlaces)).join('');
+    },
+  };
+}
+
 // ── Color Presets (extracted from JetBrains expUI icons) ─────────────
 export const PRESETS = [
   // JetBrains expUI official colors
@@ -95,11 +307,394 @@ export const PRESETS = [
   { name: 'Pink',   lightFill: '#FCE4EC', lightStroke: '#AD1457', darkFill: '#3B2430', darkStroke: '#F06292', official: false },
 ];
 
+// ── Contrast Analysis ────────────────────────────────────────────────
+// Icons sit on tree/tool-window backgrounds, so shapes are checked against
+// the default panel color of each bundled IDE theme.
+export const IDE_BACKGROUNDS = {
+  light: [
+    { name: 'Light', color: '#F7F8FA' },
+    { name: 'Islands Light', color: '#FFFFFF' },
+  ],
+  dark: [
+    { name: 'Darcula', color: '#3C3F41' },
+    { name: 'Islands Dark', color: '#191A1C' },
+  ],
+};
+
+/** Default minimum contrast ratio — the official presets range from ~2.9:1 up. */
+export const DEFAULT_MIN_CONTRAST = 2.5;
+
+/**
+ * Parses `#rgb` / `#rrggbb` into 0–255 channels.
+ * @param {string} hex - CSS hex color
+ * @returns {[number, number, number]|null} Channels, or null if not a hex color
+ */
+export function parseHexColor(hex) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+/**
+ * WCAG 2.x relative luminance of a hex color.
+ * @param {string} hex - CSS hex color
+ * @returns {number} Luminance in [0, 1]
+ */
+export function relativeLuminance(hex) {
+  const rgb = parseHexColor(hex);
+  if (!rgb) throw new Error(`Invalid color "${hex}". Use #rgb or #rrggbb.`);
+  const [r, g, b] = rgb.map(v => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two hex colors (1–21, rounded to 2 decimals).
+ * @param {string} a - CSS hex color
+ * @param {string} b - CSS hex color
+ * @returns {number}
+ */
+export function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return Math.round((Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05) * 100) / 100;
+}
+
+/**
+ * Checks letter-on-fill and shape-on-IDE-background contrast for both theme
+ * variants.  The shape's outline uses the stroke color, so that is what is
+ * compared against each background in IDE_BACKGROUNDS.
+ * @param {{ lightFill: string, lightStroke: string, darkFill: string, darkStroke: string }} colors
+ * @param {number} [minContrast=DEFAULT_MIN_CONTRAST] - Minimum acceptable ratio
+ * @returns {{ light: { letter: number, backgrounds: Array<{ name: string, color: string, ratio: number }> },
+ *             dark: { letter: number, backgrounds: Array<{ name: string, color: string, ratio: number }> },
+ *             issues: string[] }}
+ */
+export function analyzeContrast(colors, minContrast = DEFAULT_MIN_CONTRAST) {
+  const result = { issues: [] };
+  for (const theme of ['light', 'dark']) {
+    const fill = colors[`${theme}Fill`];
+    const stroke = colors[`${theme}Stroke`];
+    const letter = contrastRatio(stroke, fill);
+    const backgrounds = IDE_BACKGROUNDS[theme].map(bg => ({ ...bg, ratio: contrastRatio(stroke, bg.color) }));
+    result[theme] = { letter, backgrounds };
+
+    if (letter < minContrast) {
+      result.issues.push(`${theme}: letter ${stroke} on fill ${fill} is ${letter}:1 (minimum ${minContrast}:1)`);
+    }
+    for (const bg of backgrounds) {
+      if (bg.ratio < minContrast) {
+        result.issues.push(`${theme}: shape ${stroke} on ${bg.name} background ${bg.color} is ${bg.ratio}:1 (minimum ${minContrast}:1)`);
+      }
+    }
+  }
+  return result;
+}
+
+// ── Preset Derivation ────────────────────────────────────────────────
+// Presets are derived in OKLCH (perceptual lightness, chroma, hue).  The
+// targets below are the averages of the official JetBrains presets: every
+// variant keeps the accent's hue; lightness is fixed per role and chroma is
+// a fraction of the light stroke's.  The accent becomes the light stroke,
+// with its lightness clamped to the official range (0.55–0.67).
+const PRESET_MODEL = {
+  lightFill:   { l: 0.975, c: 0.09 },
+  lightStroke: { l: [0.55, 0.67], c: 1 },
+  darkFill:    { l: 0.315, c: 0.2 },
+  darkStroke:  { l: 0.665, c: 0.77 },
+};
+
+const srgbToLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const linearToSrgb = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055);
+
+/**
+ * Converts a hex color to OKLCH.
+ * @param {string} hex - CSS hex color
+ * @returns {{ l: number, c: number, h: number }} Lightness 0–1, chroma, hue in degrees
+ */
+export function hexToOklch(hex) {
+  const rgb = parseHexColor(hex);
+  if (!rgb) throw new Error(`Invalid color "${hex}". Use #rgb or #rrggbb.`);
+  const [r, g, b] = rgb.map(v => srgbToLinear(v / 255));
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  return { l: L, c: Math.hypot(A, B), h: (Math.atan2(B, A) * 180 / Math.PI + 360) % 360 };
+}
+
+function oklchToLinear(L, C, h) {
+  const A = C * Math.cos(h * Math.PI / 180);
+  const B = C * Math.sin(h * Math.PI / 180);
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+/**
+ * Converts OKLCH to a hex color.  Out-of-gamut colors keep their lightness
+ * and hue and lose chroma until they fit in sRGB.
+ * @param {{ l: number, c: number, h: number }} color
+ * @returns {string} `#RRGGBB`
+ */
+export function oklchToHex({ l, c, h }) {
+  const inGamut = rgb => rgb.every(v => v >= -1e-4 && v <= 1 + 1e-4);
+  let rgb = oklchToLinear(l, c, h);
+  if (!inGamut(rgb)) {
+    let lo = 0, hi = c;
+    for (let i = 0; i < 24; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(oklchToLinear(l, mid, h))) lo = mid;
+      else hi = mid;
+    }
+    rgb = oklchToLinear(l, lo, h);
+  }
+  return '#' + rgb
+    .map(v => Math.round(Math.min(1, Math.max(0, linearToSrgb(Math.max(0, v)))) * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * Derives a full light/dark preset from a single accent color, following
+ * the lightness/chroma relationships of the official presets (PRESET_MODEL).
+ * @param {string} accent - Brand/accent color (CSS hex)
+ * @param {string} [name='Custom'] - Preset name
+ * @returns {{ name: string, lightFill: string, lightStroke: string, darkFill: string, darkStroke: string, official: false }}
+ */
+export function derivePreset(accent, name = 'Custom') {
+  const { l, c, h } = hexToOklch(accent);
+  const [minL, maxL] = PRESET_MODEL.lightStroke.l;
+  const strokeL = Math.min(maxL, Math.max(minL, l));
+  const variant = role => oklchToHex({ l: PRESET_MODEL[role].l, c: c * PRESET_MODEL[role].c, h });
+  return {
+    name,
+    lightFill: variant('lightFill'),
+    lightStroke: oklchToHex({ l: strokeL, c, h }),
+    darkFill: variant('darkFill'),
+    darkStroke: variant('darkStroke'),
+    official: false,
+  };
+}
+
+// ── Theme Import ─────────────────────────────────────────────────────
+// An IntelliJ `.theme.json` names colors in `colors` and, for icons, in
+// `icons.ColorPalette` (keys like "Objects.Blue"; values may reference a
+// `colors` name).  Each named color becomes a preset: a light theme supplies
+// the light stroke, a dark theme (`"dark": true`) the dark stroke.  The
+// fills, and the stroke of a half no theme covers, come from derivePreset().
+
+// #rgb, #rrggbb or #rrggbbaa (alpha dropped) → #RRGGBB, else null
+function normalizeThemeColor(value) {
+  if (typeof value !== 'string') return null;
+  const rgb = parseHexColor(/^#[0-9a-f]{8}$/i.test(value) ? value.slice(0, 7) : value);
+  return rgb ? '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase() : null;
+}
+
+/**
+ * Reads the named colors of an IntelliJ `.theme.json`.  ColorPalette entries
+ * override `colors` entries of the same name; hex-keyed palette entries
+ * (color replacements) and non-color values are ignored.
+ * @param {string|object} source - File contents or parsed JSON
+ * @returns {{ name: string, dark: boolean, colors: Map<string, string> }}
+ */
+export function parseThemeFile(source) {
+  let theme;
+  try {
+    theme = typeof source === 'string' ? JSON.parse(source) : source;
+  } catch (e) {
+    throw new Error(`Invalid .theme.json: ${e.message}`);
+  }
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error('Invalid .theme.json: expected a JSON object.');
+  }
+
+  const named = theme.colors && typeof theme.colors === 'object' ? theme.colors : {};
+  const resolveValue = v => normalizeThemeColor(typeof v === 'string' && v in named ? named[v] : v);
+  const colors = new Map();
+  for (const [key, value] of Object.entries(named)) {
+    const hex = resolveValue(value);
+    if (hex) colors.set(key, hex);
+  }
+  for (const [key, value] of Object.entries(theme.icons?.ColorPalette ?? {})) {
+    if (key.startsWith('#')) continue;
+    const hex = resolveValue(value);
+    if (hex) colors.set(key, hex);
+  }
+  return { name: String(theme.name || 'Theme'), dark: theme.dark === true, colors };
+}
+
+/**
+ * Builds presets from parsed themes — typically a light/dark pair.  Colors
+ * are matched across themes by name (case-insensitive); the preset's
+ * `theme` names the theme(s) it came from.
+ * @param {Array<{ name: string, dark: boolean, colors: Map<string, string> }>} themes - parseThemeFile() results
+ * @returns {Array<{ name: string, lightFill: string, lightStroke: string, darkFill: string, darkStroke: string, official: false, theme: string }>}
+ */
+export function presetsFromThemes(themes) {
+  const byName = new Map();
+  for (const theme of themes) {
+    for (const [name, hex] of theme.colors) {
+      const id = name.toLowerCase();
+      const entry = byName.get(id) ?? { name, themes: new Set() };
+      entry[theme.dark ? 'dark' : 'light'] = hex;
+      entry.themes.add(theme.name);
+      byName.set(id, entry);
+    }
+  }
+  return [...byName.values()].map(({ name, light, dark, themes: sources }) => ({
+    name,
+    lightFill: derivePreset(light ?? dark).lightFill,
+    lightStroke: light ?? derivePreset(dark).lightStroke,
+    darkFill: derivePreset(dark ?? light).darkFill,
+    darkStroke: dark ?? derivePreset(light).darkStroke,
+    official: false,
+    theme: [...sources].join(' / '),
+  }));
+}
+
 // ── Shape Generators ─────────────────────────────────────────────────
 // Each shape generator receives (fill, stroke, strokeWidth, center) where
 // center = viewBoxSize / 2.  Shapes must fit within a 1px transparent
 // border, i.e. from 1 to viewBoxSize-1.
+// `opticalCenter` ([x, y], native units) is where optical centering places
+// the letter when the shape's visual center is not the viewBox center; bbox
+// centering uses `defaultXOffset`/`defaultYOffset` instead.
 // Official shapes are derived from JetBrains expUI icons.
+// Shapes with adjustable geometry list their defaults in `params` (see
+// SHAPE_PARAMS); generate() receives the resolved values as a fifth argument.
+
+// ── Shape Parameters ─────────────────────────────────────────────────
+/**
+ * Where a shape's stroke sits relative to its outline: wholly inside it,
+ * centered on it, or wholly outside it.  Corner radii always describe the
+ * visible outer edge of the stroke.
+ */
+export const STROKE_ALIGNMENTS = ['inside', 'center', 'outside'];
+
+/**
+ * Adjustable shape parameters, with their UI/CLI ranges.  A shape supports
+ * a parameter when its `params` lists a default for it; `strokeAlign`
+ * applies to every shape with parameters.
+ */
+export const SHAPE_PARAMS = {
+  cornerRadius: { label: 'Corner Radius', min: 0, max: 7, step: 0.25 },
+  sides: { label: 'Sides', min: 3, max: 12, step: 1, integer: true },
+  rotation: { label: 'Rotation', min: 0, max: 360, step: 1 },
+};
+
+/**
+ * Merges parameter overrides with a shape's defaults.  Parameters the shape
+ * does not declare are dropped (see unsupportedShapeParams).
+ * @param {string} shapeName - Shape key
+ * @param {{ cornerRadius?: number, sides?: number, rotation?: number, strokeAlign?: string }} [overrides]
+ * @returns {object} Resolved parameters, including `strokeAlign`
+ * @throws {Error} On out-of-range values or an unknown stroke alignment
+ */
+export function resolveShapeParams(shapeName, overrides = {}) {
+  const defaults = SHAPES[shapeName]?.params ?? {};
+  // The default corner radius is only what the controls start at: left
+  // unset, generate() keeps the shape's own corners at every stroke width.
+  const { cornerRadius, ...fixed } = defaults;
+  const resolved = { ...fixed, strokeAlign: overrides.strokeAlign ?? 'center' };
+  if (!STROKE_ALIGNMENTS.includes(resolved.strokeAlign)) {
+    throw new Error(`Unknown stroke alignment "${resolved.strokeAlign}". Valid values: ${STROKE_ALIGNMENTS.join(', ')}`);
+  }
+  for (const [name, spec] of Object.entries(SHAPE_PARAMS)) {
+    const value = overrides[name];
+    if (value == null || !(name in defaults)) continue;
+    if (!Number.isFinite(value) || value < spec.min || value > spec.max || (spec.integer && !Number.isInteger(value))) {
+      throw new Error(`Invalid ${spec.label.toLowerCase()} "${value}". Use ${spec.integer ? 'an integer' : 'a number'} from ${spec.min} to ${spec.max}.`);
+    }
+    resolved[name] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Lists the overrides a shape ignores (it declares no such parameter).
+ * @param {string} shapeName - Shape key
+ * @param {object} [overrides] - As for resolveShapeParams()
+ * @returns {string[]} Parameter names
+ */
+export function unsupportedShapeParams(shapeName, overrides = {}) {
+  const defaults = SHAPES[shapeName]?.params ?? {};
+  return Object.keys(SHAPE_PARAMS)
+    .concat('strokeAlign')
+    .filter(name => overrides[name] != null && !(name in defaults) && !(name === 'strokeAlign' && Object.keys(defaults).length > 0));
+}
+
+// How far the stroke centerline moves inward from the shape's outline (the
+// centerline of a centered stroke): sw/2 inward for inside, outward for outside.
+function strokeShift(sw, align) {
+  return { inside: sw / 2, center: 0, outside: -sw / 2 }[align];
+}
+
+// Centerline corner radius that gives `radius` on the stroke's outer edge,
+// or the shape's own `native` one when no radius is given.
+function centerlineRadius(radius, sw, native) {
+  return radius == null ? native : Math.max(0, radius - sw / 2);
+}
+
+/**
+ * Path data of a regular polygon whose centered stroke's outer edge touches
+ * the 1px border on its widest axis; `align` moves the stroke inside or
+ * outside that outline.  Corners are rounded by `radius` on the stroke's
+ * outer edge (by default the round join alone, sw/2); with no rounding the
+ * stroke needs a miter join, otherwise a round one.
+ * @returns {{ d: string, join: 'miter'|'round' }}
+ */
+function regularPolygonPath(c, sides, rotation, radius, sw, align) {
+  const cosN = Math.cos(Math.PI / sides);
+  const angles = Array.from({ length: sides }, (_, k) => (rotation + 360 * k / sides - 90) * Math.PI / 180);
+  const reach = Math.max(...angles.map(a => Math.max(Math.abs(Math.cos(a)), Math.abs(Math.sin(a)))));
+  // Outline: a polygon with corner radius `outer`, as wide as the border allows.
+  // An inside stroke's centerline corner must stay within the centerline
+  // polygon's inradius, or the corner cuts pass the sides' midpoints.
+  const inset = Math.max(0, strokeShift(sw, align)) * reach / cosN;
+  const outer = Math.min(c - 1 - inset, radius ?? sw / 2);
+  const outerRadius = (c - 1 - outer) / reach + outer / cosN;
+  const centerRadius = outerRadius - (sw / 2 + strokeShift(sw, align)) / cosN;
+  const rho = centerlineRadius(outer, sw, 0);
+  const vertices = angles.map(a => [c + centerRadius * Math.cos(a), c + centerRadius * Math.sin(a)]);
+  const pt = ([x, y]) => `${r(x)} ${r(y)}`;
+  let d;
+  if (rho === 0) {
+    d = `M${vertices.map(pt).join('L')}Z`;
+  } else {
+    const cut = rho * Math.tan(Math.PI / sides);
+    const toward = (from, to) => {
+      const len = Math.hypot(to[0] - from[0], to[1] - from[1]);
+      return [from[0] + (to[0] - from[0]) * cut / len, from[1] + (to[1] - from[1]) * cut / len];
+    };
+    d = vertices.map((v, k) => {
+      const prev = vertices[(k + sides - 1) % sides], next = vertices[(k + 1) % sides];
+      return `${k === 0 ? 'M' : 'L'}${pt(toward(v, prev))}A${r(rho)} ${r(rho)} 0 0 1 ${pt(toward(v, next))}`;
+    }).join('') + 'Z';
+  }
+  return { d, join: outer === 0 ? 'miter' : 'round' };
+}
+
+// Upper intersection point of two circles (smaller y), for arc endpoints.
+function upperCircleIntersection(x1, y1, r1, x2, y2, r2) {
+  const d = Math.hypot(x2 - x1, y2 - y1);
+  const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+  const h = Math.sqrt(Math.max(0, r1 * r1 - a * a));
+  const mx = x1 + a * (x2 - x1) / d, my = y1 + a * (y2 - y1) / d;
+  const ox = h * (y2 - y1) / d, oy = h * (x2 - x1) / d;
+  return my - oy < my + oy ? [mx + ox, my - oy] : [mx - ox, my + oy];
+}
+
 export const SHAPES = {
   // ── Official (JetBrains expUI) ──
   circle: {
@@ -113,11 +708,13 @@ export const SHAPES = {
   roundrect: {
     official: true,
     label: 'Rounded Rect',
+    params: { cornerRadius: 2 },
     preview: '<rect x="2" y="2" width="12" height="12" rx="2" fill="none" stroke="currentColor" stroke-width="1"/>',
-    generate: (fill, stroke, sw, c) => {
-      const inset = 1.5 + sw/2;
-      const size = 2 * (c - 1.5) - sw;
-      return `<rect x="${inset}" y="${inset}" width="${size}" height="${size}" rx="1.5" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+    generate: (fill, stroke, sw, c, { cornerRadius, strokeAlign = 'center' } = {}) => {
+      const inset = 1.5 + sw/2 + strokeShift(sw, strokeAlign);
+      const size = 2 * (c - inset);
+      const rx = r(Math.min(centerlineRadius(cornerRadius, sw, 1.5), size / 2));
+      return `<rect x="${inset}" y="${inset}" width="${size}" height="${size}"${rx ? ` rx="${rx}"` : ''} fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
     },
   },
 
@@ -126,12 +723,14 @@ export const SHAPES = {
     label: 'Diamond',
     viewBoxSize: 18,
     targetHeight: 6.3,
+    params: { cornerRadius: 1 },
     preview: '<rect x="4.13" y="4.13" width="9.75" height="9.75" rx="0.5" transform="rotate(45 9 9)" fill="none" stroke="currentColor" stroke-width="1"/>',
-    generate: (fill, stroke, sw, c) => {
+    generate: (fill, stroke, sw, c, { cornerRadius, strokeAlign = 'center' } = {}) => {
       const halfDiag = c - 1 - sw/2;
-      const side = Math.round(halfDiag * Math.SQRT2 * 100) / 100;
+      const side = Math.round((halfDiag * Math.SQRT2 - 2 * strokeShift(sw, strokeAlign)) * 100) / 100;
       const offset = Math.round((c - side/2) * 100) / 100;
-      return `<rect x="${offset}" y="${offset}" width="${side}" height="${side}" rx="0.5" transform="rotate(45 ${c} ${c})" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+      const rx = r(Math.min(centerlineRadius(cornerRadius, sw, 0.5), side / 2));
+      return `<rect x="${offset}" y="${offset}" width="${side}" height="${side}"${rx ? ` rx="${rx}"` : ''} transform="rotate(45 ${c} ${c})" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
     },
   },
 
@@ -140,12 +739,14 @@ export const SHAPES = {
     label: 'Rounded Diamond',
     viewBoxSize: 18,
     targetHeight: 6.3,
+    params: { cornerRadius: 2 },
     preview: '<rect x="4.34" y="4.34" width="9.32" height="9.32" rx="1.5" transform="rotate(45 9 9)" fill="none" stroke="currentColor" stroke-width="1"/>',
-    generate: (fill, stroke, sw, c) => {
+    generate: (fill, stroke, sw, c, { cornerRadius, strokeAlign = 'center' } = {}) => {
       const halfDiag = c - 1 - sw/2;
-      const side = Math.round(halfDiag * Math.SQRT2 * 100) / 100;
+      const side = Math.round((halfDiag * Math.SQRT2 - 2 * strokeShift(sw, strokeAlign)) * 100) / 100;
       const offset = Math.round((c - side/2) * 100) / 100;
-      return `<rect x="${offset}" y="${offset}" width="${side}" height="${side}" rx="1.5" transform="rotate(45 ${c} ${c})" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+      const rx = r(Math.min(centerlineRadius(cornerRadius, sw, 1.5), side / 2));
+      return `<rect x="${offset}" y="${offset}" width="${side}" height="${side}"${rx ? ` rx="${rx}"` : ''} transform="rotate(45 ${c} ${c})" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
     },
   },
 
@@ -153,6 +754,7 @@ export const SHAPES = {
     official: true,
     label: 'Shield',
     targetHeight: 6.3,
+    opticalCenter: [8, 7.6],
     preview: '<path d="M2.5 3.83L8 1.54L13.5 3.83V9.18C13.5 10.75 12.71 11.92 11.63 12.89C10.83 13.6 9.85 14.23 8.9 14.82L8 15.4L7.1 14.82C6.15 14.23 5.17 13.6 4.37 12.89C3.29 11.92 2.5 10.75 2.5 9.18V3.83Z" fill="none" stroke="currentColor" stroke-width="1"/>',
     generate: (fill, stroke, sw, c) =>
       `<path d="M2.5 3.83333L8 1.54167L13.5 3.83333L13.5 9.17871C13.5 10.7502 12.7145 11.9168 11.6339 12.8852C10.8323 13.6036 9.84849 14.226 8.90452 14.8218L8.9021 14.8233C8.59264 15.0186 8.28712 15.2115 8 15.4009C7.71296 15.2115 7.40754 15.0187 7.09817 14.8235L7.09548 14.8218C6.15151 14.226 5.16769 13.6036 4.36607 12.8852C3.28548 11.9168 2.5 10.7502 2.5 9.17871V3.83333Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`,
@@ -186,6 +788,7 @@ export const SHAPES = {
     targetHeight: 5.0,
     defaultXOffset: -1.5,
     defaultYOffset: 1.5,
+    opticalCenter: [6.5, 9.5],
     preview: '<rect x="2" y="5" width="9" height="9" rx="1.5" fill="none" stroke="currentColor" stroke-width="1"/><path d="M13 10V3.5C13 2.67 12.33 2 11.5 2H5" fill="none" stroke="currentColor" stroke-width="1" stroke-linecap="round"/>',
     generate: (fill, stroke, sw, c) =>
       `<path d="M13 10V3.5C13 2.67 12.33 2 11.5 2H5" fill="none" stroke="${stroke}" stroke-width="${sw}" stroke-linecap="round"/>` +
@@ -206,27 +809,374 @@ export const SHAPES = {
     label: 'Document',
     targetHeight: 5.5,
     defaultYOffset: 1,
+    opticalCenter: [7.8, 8.8],
     preview: '<path d="M3.75 2.25h6.5l3 3v7.5a1 1 0 0 1-1 1h-8.5a1 1 0 0 1-1-1v-9.5a1 1 0 0 1 1-1z" fill="none" stroke="currentColor" stroke-width="1"/>',
     generate: (fill, stroke, sw, c) =>
       `<path d="M3.75 2.25h6.5l3 3v7.5a1 1 0 0 1-1 1h-8.5a1 1 0 0 1-1-1v-9.5a1 1 0 0 1 1-1z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>` +
       `\n  <path d="M10.25 2.25v3h3" fill="none" stroke="${stroke}" stroke-width="${sw}" stroke-linecap="round"/>`,
   },
+
+  square: {
+    official: false,
+    label: 'Square',
+    params: { cornerRadius: 1 },
+    preview: '<rect x="1.5" y="1.5" width="13" height="13" rx="0.5" fill="none" stroke="currentColor" stroke-width="1"/>',
+    generate: (fill, stroke, sw, c, { cornerRadius, strokeAlign = 'center' } = {}) => {
+      const inset = 1 + sw/2 + strokeShift(sw, strokeAlign);
+      const size = 2 * (c - inset);
+      const rx = r(Math.min(centerlineRadius(cornerRadius, sw, 0.5), size / 2));
+      return `<rect x="${inset}" y="${inset}" width="${size}" height="${size}"${rx ? ` rx="${rx}"` : ''} fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+    },
+  },
+
+  pill: {
+    official: false,
+    label: 'Pill',
+    targetHeight: 5.0,
+    preview: '<rect x="1.5" y="3.5" width="13" height="9" rx="4.5" fill="none" stroke="currentColor" stroke-width="1"/>',
+    generate: (fill, stroke, sw, c) => {
+      // 10px tall capsule across the full width
+      const x = 1 + sw/2;
+      const y = c - 5 + sw/2;
+      const w = 2 * (c - 1) - sw;
+      const h = 10 - sw;
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${h / 2}" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+    },
+  },
+
+  triangle: {
+    official: false,
+    label: 'Triangle',
+    targetHeight: 4.0,
+    defaultYOffset: 2.4,
+    opticalCenter: [8, 10.2],
+    preview: '<path d="M8 1.5L14.5 14.5H1.5Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      // Round joins keep the stroke within sw/2 of the corners
+      const m = 1 + sw/2;
+      const far = 2 * c - m;
+      return `<path d="M${c} ${m}L${far} ${far}H${m}Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  octagon: {
+    official: false,
+    label: 'Octagon',
+    targetHeight: 6.3,
+    preview: '<path d="M5.31 1.5H10.69L14.5 5.31V10.69L10.69 14.5H5.31L1.5 10.69V5.31Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      const half = c - 1 - sw/2;
+      const cut = r(half * Math.tan(Math.PI / 8));
+      const lo = r(c - half), hi = r(c + half);
+      return `<path d="M${r(c - cut)} ${lo}H${r(c + cut)}L${hi} ${r(c - cut)}V${r(c + cut)}L${r(c + cut)} ${hi}H${r(c - cut)}L${lo} ${r(c + cut)}V${r(c - cut)}Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  tag: {
+    official: false,
+    label: 'Tag',
+    targetHeight: 5.0,
+    defaultXOffset: -1,
+    opticalCenter: [7, 8],
+    preview: '<path d="M3 3.5H10.5L14.5 8L10.5 12.5H3A1.5 1.5 0 0 1 1.5 11V5A1.5 1.5 0 0 1 3 3.5Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      // 10px tall label pointing right, rounded on the left
+      const left = 1 + sw/2;
+      const tip = 2 * c - 1 - sw/2;
+      const top = c - 5 + sw/2;
+      const bottom = c + 5 - sw/2;
+      const shoulder = tip - 4;
+      return `<path d="M${left + 1.5} ${top}H${shoulder}L${tip} ${c}L${shoulder} ${bottom}H${left + 1.5}A1.5 1.5 0 0 1 ${left} ${bottom - 1.5}V${top + 1.5}A1.5 1.5 0 0 1 ${left + 1.5} ${top}Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  folder: {
+    official: false,
+    label: 'Folder',
+    targetHeight: 5.5,
+    defaultYOffset: 0.8,
+    opticalCenter: [8, 8.8],
+    preview: '<path d="M1.5 3.5A1 1 0 0 1 2.5 2.5H6L7.5 4H13.5A1 1 0 0 1 14.5 5V12.5A1 1 0 0 1 13.5 13.5H2.5A1 1 0 0 1 1.5 12.5Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      // Tab on the top left, body 1.5px lower; 12px tall overall
+      const left = 1 + sw/2;
+      const right = 2 * c - 1 - sw/2;
+      const top = c - 6 + sw/2;
+      const body = top + 1.5;
+      const bottom = c + 6 - sw/2;
+      return `<path d="M${left} ${top + 1}A1 1 0 0 1 ${left + 1} ${top}H${c - 2}L${c - 0.5} ${body}H${right - 1}A1 1 0 0 1 ${right} ${body + 1}V${bottom - 1}A1 1 0 0 1 ${right - 1} ${bottom}H${left + 1}A1 1 0 0 1 ${left} ${bottom - 1}Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  cloud: {
+    official: false,
+    label: 'Cloud',
+    targetHeight: 4.5,
+    defaultYOffset: 0.8,
+    opticalCenter: [8, 8.8],
+    preview: '<path d="M4.5 12.5A3 3 0 0 1 3.72 6.6A4.5 4.5 0 0 1 12.28 6.6A3 3 0 0 1 11.5 12.5Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      // Two small bumps (r=3) at the sides, a large one (r=4.5) on top, flat base
+      const base = c + 5 - sw/2;
+      const small = [[1 + sw/2 + 3, base - 3], [2 * c - 1 - sw/2 - 3, base - 3]];
+      const big = [c, base - 4.5];
+      const [p1, p2] = small.map(([x, y]) => upperCircleIntersection(x, y, 3, big[0], big[1], 4.5));
+      return `<path d="M${r(small[0][0])} ${r(base)}A3 3 0 0 1 ${r(p1[0])} ${r(p1[1])}A4.5 4.5 0 0 1 ${r(p2[0])} ${r(p2[1])}A3 3 0 0 1 ${r(small[1][0])} ${r(base)}Z" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  gear: {
+    official: false,
+    label: 'Gear',
+    targetHeight: 4.5,
+    preview: '<path d="M6.88 3.13L7.21 1.55L8.79 1.55L9.12 3.13A5 5 0 0 1 10.65 3.76L12 2.88L13.12 4L12.24 5.35A5 5 0 0 1 12.87 6.88L14.45 7.21L14.45 8.79L12.87 9.12A5 5 0 0 1 12.24 10.65L13.12 12L12 13.12L10.65 12.24A5 5 0 0 1 9.12 12.87L8.79 14.45L7.21 14.45L6.88 12.87A5 5 0 0 1 5.35 12.24L4 13.12L2.88 12L3.76 10.65A5 5 0 0 1 3.13 9.12L1.55 8.79L1.55 7.21L3.13 6.88A5 5 0 0 1 3.76 5.35L2.88 4L4 2.88L5.35 3.76A5 5 0 0 1 6.88 3.13Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c) => {
+      // 8 trapezoid teeth, 1.5px deep, on a round hub
+      const outer = c - 1 - sw/2;
+      const inner = outer - 1.5;
+      const at = (radius, deg) => {
+        const a = (deg - 90) * Math.PI / 180;
+        return `${r(c + radius * Math.cos(a))} ${r(c + radius * Math.sin(a))}`;
+      };
+      let d = '';
+      for (let k = 0; k < 8; k++) {
+        const mid = k * 45;
+        d += `${k === 0 ? 'M' : 'A'}${k === 0 ? '' : `${inner} ${inner} 0 0 1 `}${at(inner, mid - 13)}L${at(outer, mid - 7)}L${at(outer, mid + 7)}L${at(inner, mid + 13)}`;
+      }
+      d += `A${inner} ${inner} 0 0 1 ${at(inner, -13)}Z`;
+      return `<path d="${d}" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+    },
+  },
+
+  polygon: {
+    official: false,
+    label: 'Polygon',
+    targetHeight: 6.0,
+    params: { sides: 6, rotation: 0, cornerRadius: 0.5 },
+    preview: '<path d="M8 1.5L13.63 4.75L13.63 11.25L8 14.5L2.37 11.25L2.37 4.75Z" fill="none" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/>',
+    generate: (fill, stroke, sw, c, { sides = 6, rotation = 0, cornerRadius, strokeAlign = 'center' } = {}) => {
+      const { d, join } = regularPolygonPath(c, sides, rotation, cornerRadius, sw, strokeAlign);
+      return `<path d="${d}" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="${join}"/>`;
+    },
+  },
 };
 
 // ── Custom Shape Factory ─────────────────────────────────────────────
+// Imported shapes are recolored on a parsed SVG: the paint cascade
+// (presentation attributes, `<style>` rules, inline styles, inheritance and
+// currentColor) is resolved per element, then every visible fill and stroke
+// is mapped to the preset.  Without a DOM (Node without jsdom) the importer
+// falls back to rewriting literal fill/stroke attributes.
 let nextCustomShapeId = 1;
 
+const PAINT_PROPS = ['fill', 'stroke', 'stroke-width', 'color'];
+const SHAPE_ELEMENTS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan', 'textPath']);
+const UNRENDERED_ELEMENTS = new Set(['defs', 'clipPath', 'mask', 'pattern', 'marker', 'symbol', 'linearGradient', 'radialGradient', 'filter', 'style', 'title', 'desc', 'metadata']);
+const SHAPE_TOKENS = { fill: '__SHAPE_FILL__', stroke: '__SHAPE_STROKE__', sw: '__SHAPE_SW__' };
+
 /**
- * Creates a SHAPES-compatible entry from imported SVG text.
- * The shape's generate() function re-colors fills and strokes to match
- * the active color preset, while preserving gradients and `none` values.
- *
- * @param {string} svgText - Raw SVG markup
- * @param {string} [label='Custom'] - Display label for the shape grid
- * @returns {{ key: string, shape: object }}
+ * Splits a stylesheet into rules.  At-rules (`@media`, `@font-face`, …) are
+ * kept verbatim and not applied.
+ * @returns {Array<{ selector: string, declarations: Array<{ prop: string, value: string, important: boolean }> }|{ raw: string }>}
+ */
+function parseStyleSheet(css) {
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open < 0) break;
+    const selector = text.slice(i, open).trim();
+    let depth = 1, j = open + 1;
+    while (j < text.length && depth > 0) {
+      if (text[j] === '{') depth++;
+      else if (text[j] === '}') depth--;
+      j++;
+    }
+    const body = text.slice(open + 1, j - 1);
+    if (selector.startsWith('@')) {
+      rules.push({ raw: text.slice(i, j).trim() });
+    } else {
+      rules.push({ selector, declarations: parseDeclarations(body) });
+    }
+    i = j;
+  }
+  return rules;
+}
+
+function parseDeclarations(text) {
+  return text.split(';').map(d => d.trim()).filter(Boolean).flatMap(d => {
+    const colon = d.indexOf(':');
+    if (colon < 0) return [];
+    const value = d.slice(colon + 1).trim();
+    return [{
+      prop: d.slice(0, colon).trim().toLowerCase(),
+      value: value.replace(/\s*!important$/i, ''),
+      important: /!important$/i.test(value),
+    }];
+  });
+}
+
+function serializeDeclarations(declarations) {
+  return declarations.map(d => `${d.prop}:${d.value}${d.important ? ' !important' : ''}`).join(';');
+}
+
+// [ids, classes/attributes/pseudo-classes, types] — enough to order the
+// flat rules exported by design tools.
+function selectorSpecificity(selector) {
+  const ids = (selector.match(/#[\w-]+/g) || []).length;
+  const classes = (selector.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+  const types = (selector.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|::?[\w-]+(\([^)]*\))?/g, ' ')
+    .match(/(^|[\s>+~])[a-zA-Z][\w-]*/g) || []).length;
+  return ids * 10000 + classes * 100 + types;
+}
+
+/**
+ * Moves fill, stroke, stroke-width and color out of `<style>` rules and
+ * inline styles into presentation attributes on the elements they apply
+ * to, so later steps only have to look at attributes and inheritance.
+ */
+function flattenPaintCascade(doc) {
+  const rules = [];
+  const sheets = [...doc.getElementsByTagName('style')].map(el => ({ el, rules: parseStyleSheet(el.textContent) }));
+  let order = 0;
+  for (const sheet of sheets) {
+    for (const rule of sheet.rules) {
+      if (!rule.selector) continue;
+      for (const selector of rule.selector.split(',').map(s => s.trim()).filter(Boolean)) {
+        for (const decl of rule.declarations) {
+          if (PAINT_PROPS.includes(decl.prop)) rules.push({ selector, decl, specificity: selectorSpecificity(selector), order: order++ });
+        }
+      }
+    }
+  }
+
+  for (const el of doc.getElementsByTagName('*')) {
+    // Cascade order: presentation attribute < sheet rules < inline style < !important rules
+    const declared = {};
+    for (const prop of PAINT_PROPS) {
+      if (el.hasAttribute(prop)) declared[prop] = { value: el.getAttribute(prop), rank: -1 };
+    }
+    for (const rule of rules) {
+      let matches = false;
+      try { matches = el.matches(rule.selector); } catch { /* unsupported selector */ }
+      if (!matches) continue;
+      const rank = (rule.decl.important ? 2e9 : 0) + rule.specificity * 1e4 + rule.order;
+      if (!declared[rule.decl.prop] || rank >= declared[rule.decl.prop].rank) {
+        declared[rule.decl.prop] = { value: rule.decl.value, rank };
+      }
+    }
+    if (el.hasAttribute('style')) {
+      const inline = parseDeclarations(el.getAttribute('style'));
+      for (const decl of inline.filter(d => PAINT_PROPS.includes(d.prop))) {
+        const rank = (decl.important ? 3e9 : 1e9);
+        if (!declared[decl.prop] || rank >= declared[decl.prop].rank) declared[decl.prop] = { value: decl.value, rank };
+      }
+      const rest = serializeDeclarations(inline.filter(d => !PAINT_PROPS.includes(d.prop)));
+      if (rest) el.setAttribute('style', rest);
+      else el.removeAttribute('style');
+    }
+    for (const [prop, { value }] of Object.entries(declared)) el.setAttribute(prop, value);
+  }
+
+  for (const sheet of sheets) {
+    const css = sheet.rules.map(rule => {
+      if (rule.raw) return rule.raw;
+      const kept = rule.declarations.filter(d => !PAINT_PROPS.includes(d.prop));
+      return kept.length > 0 ? `${rule.selector}{${serializeDeclarations(kept)}}` : '';
+    }).filter(Boolean).join('\n');
+    if (css) sheet.el.textContent = css;
+    else sheet.el.remove();
+  }
+}
+
+// Computed value of an inherited paint property, after flattenPaintCascade().
+function computedPaint(el, prop, initial) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+    const value = node.getAttribute(prop);
+    if (value != null && value !== 'inherit') return value.trim();
+  }
+  return initial;
+}
+
+function describeElement(el) {
+  const id = el.getAttribute('id');
+  const cls = el.getAttribute('class');
+  return `<${el.localName}${id ? `#${id}` : cls ? `.${cls.trim().split(/\s+/).join('.')}` : ''}>`;
+}
+
+/**
+ * Parses imported SVG markup and replaces every visible paint with a
+ * placeholder token.
+ * @returns {{ vbW: number, vbH: number, content: string, unmapped: string[] }}
  */
-export function createCustomShape(svgText, label = 'Custom') {
-  // Parse viewBox or width/height to get native dimensions
+function tokenizeShapePaint(svgText, dom) {
+  const doc = new dom.DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (!svg || svg.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Custom shape is not a valid SVG document.');
+  }
+
+  let vbW = 16, vbH = 16;
+  const viewBox = svg.getAttribute('viewBox');
+  if (viewBox) {
+    const parts = viewBox.trim().split(/[\s,]+/).map(Number);
+    vbW = parts[2] || 16;
+    vbH = parts[3] || 16;
+  } else {
+    vbW = parseFloat(svg.getAttribute('width')) || vbW;
+    vbH = parseFloat(svg.getAttribute('height')) || vbH;
+  }
+
+  flattenPaintCascade(doc);
+
+  const unmapped = [];
+  const visit = el => {
+    const name = el.localName;
+    if (UNRENDERED_ELEMENTS.has(name)) return;
+    if (SHAPE_ELEMENTS.has(name)) {
+      const fill = computedPaint(el, 'fill', 'black');
+      const stroke = computedPaint(el, 'stroke', 'none');
+      if (fill === 'none' || fill === 'transparent') {
+        el.setAttribute('fill', 'none');
+      } else if (/^url\(/i.test(fill)) {
+        el.setAttribute('fill', fill);
+        unmapped.push(`${describeElement(el)} fill ${fill} (kept)`);
+      } else {
+        el.setAttribute('fill', SHAPE_TOKENS.fill);
+      }
+      if (stroke === 'none' || stroke === 'transparent') {
+        if (el.hasAttribute('stroke')) el.setAttribute('stroke', 'none');
+        el.removeAttribute('stroke-width');
+      } else if (/^url\(/i.test(stroke)) {
+        el.setAttribute('stroke', stroke);
+        unmapped.push(`${describeElement(el)} stroke ${stroke} (kept)`);
+      } else {
+        el.setAttribute('stroke', SHAPE_TOKENS.stroke);
+        el.setAttribute('stroke-width', SHAPE_TOKENS.sw);
+      }
+      el.removeAttribute('color');
+    } else if (name === 'use' || name === 'image' || name === 'foreignObject') {
+      unmapped.push(`${describeElement(el)} (kept as is)`);
+      return;
+    }
+    for (const child of el.children) visit(child);
+    if (name === 'g' || name === 'a' || name === 'switch') {
+      // Every shape below now carries its own paint
+      for (const prop of PAINT_PROPS) el.removeAttribute(prop);
+    }
+  };
+  for (const child of svg.children) visit(child);
+
+  const serializer = new dom.XMLSerializer();
+  const content = [...svg.childNodes].map(n => serializer.serializeToString(n)).join('')
+    .replace(/ xmlns="http:\/\/www\.w3\.org\/2000\/svg"/g, '')
+    .trim();
+  return { vbW, vbH, content, unmapped };
+}
+
+// Fallback without a DOM: rewrites literal fill/stroke attributes only.
+function tokenizeShapePaintByAttributes(svgText) {
   const vbMatch = svgText.match(/viewBox=["']([^"']+)["']/);
   let vbW = 16, vbH = 16;
   if (vbMatch) {
@@ -240,9 +1190,37 @@ export function createCustomShape(svgText, label = 'Custom') {
     if (hMatch) vbH = parseFloat(hMatch[1]);
   }
 
-  // Extract inner content between <svg> and </svg>
   const innerMatch = svgText.match(/<svg[^>]*>([\s\S]*)<\/svg>/i);
-  const innerContent = innerMatch ? innerMatch[1].trim() : '';
+  const content = (innerMatch ? innerMatch[1].trim() : '')
+    .replace(/fill="(?!none|url)([^"]*)"/g, `fill="${SHAPE_TOKENS.fill}"`)
+    .replace(/stroke="(?!none|url)([^"]*)"/g, `stroke="${SHAPE_TOKENS.stroke}"`)
+    .replace(/stroke-width="[^"]*"/g, `stroke-width="${SHAPE_TOKENS.sw}"`);
+  return { vbW, vbH, content, unmapped: null };
+}
+
+function fillShapeTokens(content, fill, stroke, sw) {
+  return content
+    .replaceAll(SHAPE_TOKENS.fill, fill)
+    .replaceAll(SHAPE_TOKENS.stroke, stroke)
+    .replaceAll(SHAPE_TOKENS.sw, sw);
+}
+
+/**
+ * Creates a SHAPES-compatible entry from imported SVG text.
+ * The shape's generate() function re-colors fills and strokes to match
+ * the active color preset, while preserving gradients and `none` values.
+ *
+ * @param {string} svgText - Raw SVG markup
+ * @param {string} [label='Custom'] - Display label for the shape grid
+ * @param {object} [dom=globalThis] - Provides `DOMParser` and `XMLSerializer` (a jsdom window in Node)
+ * @returns {{ key: string, shape: object, unmapped: string[]|null }} `unmapped` lists
+ *   paints left as imported (gradients, `<use>`, images); null when no DOM was available
+ * @throws {Error} If the markup does not parse as SVG
+ */
+export function createCustomShape(svgText, label = 'Custom', dom = globalThis) {
+  const { vbW, vbH, content, unmapped } = dom?.DOMParser && dom?.XMLSerializer
+    ? tokenizeShapePaint(svgText, dom)
+    : tokenizeShapePaintByAttributes(svgText);
 
   const nativeSize = Math.max(vbW, vbH);
   const id = nextCustomShapeId++;
@@ -260,28 +1238,155 @@ export function createCustomShape(svgText, label = 'Custom') {
       const offsetX = c - (vbW * scale) / 2;
       const offsetY = c - (vbH * scale) / 2;
 
-      // Re-color: replace fill/stroke values (not none/url)
-      let content = innerContent
-        .replace(/fill="(?!none|url)([^"]*)"/g, `fill="${fill}"`)
-        .replace(/stroke="(?!none|url)([^"]*)"/g, `stroke="${stroke}"`)
-        .replace(/stroke-width="[^"]*"/g, `stroke-width="${sw}"`);
-
-      return `<g transform="translate(${r(offsetX)} ${r(offsetY)}) scale(${r(scale)})">${content}</g>`;
+      return `<g transform="translate(${r(offsetX)} ${r(offsetY)}) scale(${r(scale)})">${fillShapeTokens(content, fill, stroke, sw)}</g>`;
     },
-    preview: buildCustomPreview(innerContent, vbW, vbH),
+    // Re-colored to currentColor (1px strokes) for a theme-aware preview
+    preview: `<svg viewBox="0 0 ${vbW} ${vbH}" width="16" height="16" xmlns="http://www.w3.org/2000/svg">${fillShapeTokens(content, 'currentColor', 'currentColor', r(nativeSize / 16))}</svg>`,
   };
 
-  return { key, shape };
+  return { key, shape, unmapped };
 }
 
 function r(n) { return Math.round(n * 100) / 100; }
 
-function buildCustomPreview(innerContent, vbW, vbH) {
-  // Re-color to currentColor for theme-aware preview
-  const colored = innerContent
-    .replace(/fill="(?!none|url)([^"]*)"/g, 'fill="currentColor"')
-    .replace(/stroke="(?!none|url)([^"]*)"/g, 'stroke="currentColor"');
-  return `<svg viewBox="0 0 ${vbW} ${vbH}" width="16" height="16" xmlns="http://www.w3.org/2000/svg">${colored}</svg>`;
+// ── Shape Packs ──────────────────────────────────────────────────────
+// A shape pack adds shapes to SHAPES from outside the package — a JSON file
+// or an ES module whose default export has the same layout:
+//
+//   { "name": "acme", "shapes": { "acme-tag": { "label": "Tag", "targetHeight": 6,
+//       "svg": "<path d=\"M2 4h9l3 4-3 4H2Z\" fill=\"{fill}\" stroke=\"{stroke}\" stroke-width=\"{sw}\"/>" } } }
+//
+// Each shape takes the SHAPES properties (label, preview, viewBoxSize,
+// targetHeight, defaultScale, defaultXOffset, defaultYOffset, opticalCenter)
+// plus exactly one geometry:
+//   generate - (fill, stroke, sw, c) => markup, as in SHAPES (ES modules only)
+//   svg      - markup in the shape's viewBox with {fill} {stroke} {sw} {c}
+//              placeholders, or a complete <svg> document imported and
+//              recolored like a custom shape
+//   geometry - a parametric shape, see SHAPE_GEOMETRIES
+
+const PACK_SHAPE_KEY = /^[a-z0-9][a-z0-9-]*$/;
+const PACK_SHAPE_PROPS = ['viewBoxSize', 'targetHeight', 'defaultScale', 'defaultXOffset', 'defaultYOffset'];
+
+/**
+ * Parametric geometries for shape packs, keyed by `geometry.type`.  Each
+ * stays inside the 1px border with its stroke; `inset` (default 0) pulls
+ * the outline further in.
+ *   circle  - `{ type: 'circle' }`
+ *   rect    - `{ type: 'rect', radius?: 0, aspect?: 1 }`; aspect = width / height
+ *   polygon - `{ type: 'polygon', sides: 3.., rotation?: 0 }`; rotation in degrees, 0 = vertex at the top
+ */
+export const SHAPE_GEOMETRIES = {
+  circle: (g, fill, stroke, sw, c) =>
+    `<circle cx="${c}" cy="${c}" r="${r(c - 1 - g.inset - sw / 2)}" fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`,
+  rect: (g, fill, stroke, sw, c) => {
+    const half = c - 1 - g.inset - sw / 2;
+    const aspect = g.aspect ?? 1;
+    const w = aspect >= 1 ? 2 * half : 2 * half * aspect;
+    const h = aspect >= 1 ? 2 * half / aspect : 2 * half;
+    const radius = Math.min(g.radius ?? 0, w / 2, h / 2);
+    return `<rect x="${r(c - w / 2)}" y="${r(c - h / 2)}" width="${r(w)}" height="${r(h)}"${radius > 0 ? ` rx="${r(radius)}"` : ''} fill="${fill}" stroke="${stroke}" stroke-width="${sw}"/>`;
+  },
+  polygon: (g, fill, stroke, sw, c) => {
+    // Round joins keep the stroke within sw/2 of the vertices
+    const radius = c - 1 - g.inset - sw / 2;
+    const points = Array.from({ length: g.sides }, (_, i) => {
+      const a = ((g.rotation ?? 0) + 360 * i / g.sides - 90) * Math.PI / 180;
+      return `${r(c + radius * Math.cos(a))} ${r(c + radius * Math.sin(a))}`;
+    });
+    return `<polygon points="${points.join(' ')}" fill="${fill}" stroke="${stroke}" stroke-width="${sw}" stroke-linejoin="round"/>`;
+  },
+};
+
+function packShapeGenerator(packName, key, def, dom) {
+  const where = `Shape pack "${packName}", shape "${key}"`;
+  const kinds = ['generate', 'svg', 'geometry'].filter(k => def[k] != null);
+  if (kinds.length !== 1) {
+    throw new Error(`${where}: needs exactly one of "generate", "svg" or "geometry".`);
+  }
+  if (def.generate != null) {
+    if (typeof def.generate !== 'function') throw new Error(`${where}: "generate" must be a function (use "svg" or "geometry" in JSON packs).`);
+    return def.generate;
+  }
+  if (def.svg != null) {
+    if (typeof def.svg !== 'string') throw new Error(`${where}: "svg" must be a string.`);
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(def.svg)) {
+      return createCustomShape(def.svg, def.label, dom).shape.generate;
+    }
+    const template = def.svg;
+    return (fill, stroke, sw, c) => template
+      .replaceAll('{fill}', fill)
+      .replaceAll('{stroke}', stroke)
+      .replaceAll('{sw}', sw)
+      .replaceAll('{c}', c);
+  }
+  const g = def.geometry;
+  const build = SHAPE_GEOMETRIES[g?.type];
+  if (!build) {
+    throw new Error(`${where}: unknown geometry type "${g?.type}". Valid types: ${Object.keys(SHAPE_GEOMETRIES).join(', ')}`);
+  }
+  if (g.type === 'polygon' && !(Number.isInteger(g.sides) && g.sides >= 3)) {
+    throw new Error(`${where}: polygon geometry needs "sides" (an integer of at least 3).`);
+  }
+  const params = { ...g, inset: g.inset ?? 0 };
+  return (fill, stroke, sw, c) => build(params, fill, stroke, sw, c);
+}
+
+/**
+ * Registers the shapes of a shape pack in SHAPES.  Registering a pack again
+ * replaces its shapes; keys of built-in shapes cannot be reused.
+ * @param {object} pack - `{ name, shapes: { key: definition } }` (see above)
+ * @param {object} [dom=globalThis] - Provides `DOMParser` and `XMLSerializer` for `<svg>` documents (a jsdom window in Node)
+ * @returns {{ name: string, keys: string[] }}
+ * @throws {Error} On a malformed pack or a key clash with a built-in shape
+ */
+export function registerShapePack(pack, dom = globalThis) {
+  if (!pack || typeof pack !== 'object' || !pack.shapes || typeof pack.shapes !== 'object') {
+    throw new Error('Shape pack must be an object with a "shapes" map.');
+  }
+  const name = typeof pack.name === 'string' && pack.name.trim() ? pack.name.trim() : 'Shape pack';
+  const entries = [];
+  for (const [key, def] of Object.entries(pack.shapes)) {
+    if (!PACK_SHAPE_KEY.test(key)) {
+      throw new Error(`Shape pack "${name}": invalid shape key "${key}" (use lowercase letters, digits and dashes).`);
+    }
+    if (SHAPES[key] && SHAPES[key].pack !== name) {
+      throw new Error(`Shape pack "${name}": shape "${key}" already exists${SHAPES[key].pack ? ` in pack "${SHAPES[key].pack}"` : ''}.`);
+    }
+    if (typeof def?.label !== 'string' || !def.label) {
+      throw new Error(`Shape pack "${name}", shape "${key}": "label" is required.`);
+    }
+    for (const prop of PACK_SHAPE_PROPS) {
+      if (def[prop] != null && !Number.isFinite(def[prop])) {
+        throw new Error(`Shape pack "${name}", shape "${key}": "${prop}" must be a number.`);
+      }
+    }
+    const generate = packShapeGenerator(name, key, def, dom);
+    const shape = { official: false, pack: name, label: def.label, generate };
+    for (const prop of PACK_SHAPE_PROPS) {
+      if (def[prop] != null) shape[prop] = def[prop];
+    }
+    if (Array.isArray(def.opticalCenter) && def.opticalCenter.length === 2) shape.opticalCenter = def.opticalCenter;
+    // Outline preview in the shape's own viewBox, like the built-ins
+    shape.preview = typeof def.preview === 'string' ? def.preview
+      : generate('none', 'currentColor', 1, (shape.viewBoxSize ?? 16) / 2);
+    entries.push([key, shape]);
+  }
+
+  unregisterShapePack(name);
+  for (const [key, shape] of entries) SHAPES[key] = shape;
+  return { name, keys: entries.map(([key]) => key) };
+}
+
+/**
+ * Removes every shape registered by the named pack.
+ * @param {string} name - Pack name
+ * @returns {string[]} Removed shape keys
+ */
+export function unregisterShapePack(name) {
+  const keys = Object.keys(SHAPES).filter(key => SHAPES[key].pack === name);
+  for (const key of keys) delete SHAPES[key];
+  return keys;
 }
 
 // ── Base Icon Normalization ──────────────────────────────────────────
@@ -332,14 +1437,43 @@ export function generateBaseIconSVG(svgText) {
 // ── Modifier Definitions ─────────────────────────────────────────────
 // Corner modifiers that clip the bottom-right of the main shape and
 // render a small badge icon in the freed area.
-// All generate() paths are authored for a 16×16 viewBox; larger viewBoxes
-// are handled by translating the modifier group at call site.
+// Built-in modifier glyphs are authored in an 8×8 box; generate(color)
+// wraps them in a standalone badge SVG that modifier.js places, silhouettes
+// and cuts out exactly like an imported badge.  lightColor/darkColor follow
+// the expUI palette.
+const MODIFIER_GREY = { lightColor: '#6C707E', darkColor: '#CED0D6' };
+
+function builtinModifier(label, colors, glyph) {
+  return {
+    label,
+    ...colors,
+    preview: `<g transform="translate(4 4)">${glyph('currentColor')}</g>`,
+    generate: (color) => `<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8" viewBox="0 0 8 8">${glyph(color)}</svg>`,
+  };
+}
+
 export const MODIFIERS = {
   none: {
     label: 'None',
     preview: '<circle cx="8" cy="8" r="5" fill="none" stroke="currentColor" stroke-width="1" opacity="0.3" stroke-dasharray="2 2"/>',
     generate: () => '',
   },
+  abstract: builtinModifier('Abstract', MODIFIER_GREY,
+    c => `<circle cx="4" cy="4" r="2.75" fill="none" stroke="${c}" stroke-width="1.5"/>`),
+  static: builtinModifier('Static', MODIFIER_GREY,
+    c => `<circle cx="4" cy="4" r="2.5" fill="${c}"/>`),
+  final: builtinModifier('Final', MODIFIER_GREY,
+    c => `<circle cx="4" cy="2.75" r="2.25" fill="${c}"/><path d="M3.25 4.5H4.75V8H3.25Z" fill="${c}"/>`),
+  error: builtinModifier('Error', { lightColor: '#DB3B4B', darkColor: '#DB5C5C' },
+    c => `<circle cx="4" cy="4" r="3.5" fill="${c}"/>`),
+  warning: builtinModifier('Warning', { lightColor: '#FFAF0F', darkColor: '#F2C55C' },
+    c => `<path d="M4 0.5L7.75 7.5H0.25Z" fill="${c}" stroke="${c}" stroke-width="0.5" stroke-linejoin="round"/>`),
+  lock: builtinModifier('Lock', MODIFIER_GREY,
+    c => `<path d="M2.25 3.5V2.5C2.25 1.53 3.03 0.75 4 0.75C4.97 0.75 5.75 1.53 5.75 2.5V3.5" fill="none" stroke="${c}" stroke-width="1.2"/><rect x="1" y="3.5" width="6" height="4.5" rx="1" fill="${c}"/>`),
+  plus: builtinModifier('Plus', { lightColor: '#208A3C', darkColor: '#57965C' },
+    c => `<path d="M3.25 0.5H4.75V3.25H7.5V4.75H4.75V7.5H3.25V4.75H0.5V3.25H3.25Z" fill="${c}"/>`),
+  test: builtinModifier('Test (runnable)', { lightColor: '#208A3C', darkColor: '#57965C' },
+    c => `<path d="M1.5 0.75L7.25 4L1.5 7.25Z" fill="${c}" stroke="${c}" stroke-width="0.5" stroke-linejoin="round"/>`),
   custom: {
     label: 'Custom',
     preview: '<rect x="3" y="3" width="10" height="10" rx="1" fill="none" stroke="currentColor" stroke-width="0.8" stroke-dasharray="2 1.5"/><text x="8" y="10" text-anchor="middle" font-size="5.5" fill="currentColor" font-family="sans-serif">SVG</text>',
@@ -347,8 +1481,141 @@ export const MODIFIERS = {
   },
 };
 
+/**
+ * Returns the badge color for a modifier in the given theme, falling back to
+ * `fallback` (normally the letter color) for modifiers without their own palette.
+ * @param {string} key - Modifier key
+ * @param {'light'|'dark'} theme - Theme variant
+ * @param {string} fallback - Color used when the modifier defines none
+ * @returns {string}
+ */
+export function getModifierColor(key, theme, fallback) {
+  const mod = MODIFIERS[key];
+  return (theme === 'dark' ? mod?.darkColor : mod?.lightColor) || fallback;
+}
+
+// ── Element Kinds ────────────────────────────────────────────────────
+// The usual language constructs, drawn the way the IntelliJ node icons draw
+// them: letter, shape, color preset and modifier.  `name` is the icon file
+// name (as in AllIcons.Nodes).  Kinds without a JetBrains counterpart use
+// the shapes' intended roles (triangle for type parameters, pill for
+// aliases, tag for annotations, folder for modules).
+function elementKind(label, letter, shape, color, name, modifier) {
+  return { label, letter, shape, color, name, ...(modifier && { modifier }) };
+}
+
+export const ELEMENT_KINDS = {
+  class: elementKind('Class', 'C', 'circle', 'blue', 'class'),
+  'abstract-class': elementKind('Abstract Class', 'C', 'circle', 'blue', 'abstractClass', 'abstract'),
+  'final-class': elementKind('Final Class', 'C', 'circle', 'blue', 'finalClass', 'final'),
+  'test-class': elementKind('Test Class', 'C', 'circle', 'blue', 'testClass', 'test'),
+  exception: elementKind('Exception', 'E', 'circle', 'red', 'exceptionClass'),
+  interface: elementKind('Interface', 'I', 'circle', 'green', 'interface'),
+  enum: elementKind('Enum', 'E', 'circle', 'purple', 'enum'),
+  record: elementKind('Record', 'R', 'circle', 'blue', 'record'),
+  object: elementKind('Object', 'O', 'circle', 'orange', 'object'),
+  annotation: elementKind('Annotation', '@', 'tag', 'green', 'annotationType'),
+  'type-alias': elementKind('Type Alias', 'T', 'pill', 'teal', 'typeAlias'),
+  'type-parameter': elementKind('Type Parameter', 'T', 'triangle', 'grey', 'typeParameter'),
+  method: elementKind('Method', 'm', 'circle', 'red', 'method'),
+  'abstract-method': elementKind('Abstract Method', 'm', 'circle', 'red', 'abstractMethod', 'abstract'),
+  'static-method': elementKind('Static Method', 'm', 'circle', 'red', 'staticMethod', 'static'),
+  function: elementKind('Function', 'f', 'circle', 'red', 'function'),
+  lambda: elementKind('Lambda', 'λ', 'circle', 'red', 'lambda'),
+  field: elementKind('Field', 'f', 'circle', 'amber', 'field'),
+  'static-field': elementKind('Static Field', 'f', 'circle', 'amber', 'staticField', 'static'),
+  constant: elementKind('Constant', 'f', 'circle', 'amber', 'constant', 'final'),
+  property: elementKind('Property', 'p', 'circle', 'purple', 'property'),
+  variable: elementKind('Variable', 'v', 'circle', 'orange', 'variable'),
+  parameter: elementKind('Parameter', 'p', 'circle', 'orange', 'parameter'),
+  module: elementKind('Module', 'M', 'folder', 'blue', 'module'),
+};
+
+/**
+ * Fills in the letter, shape, color, modifier and icon name of
+ * `options.kind` wherever `options` leaves them unset.
+ * @param {object} options - Icon options (as for composeIcon) with an optional `kind`
+ * @returns {object} Options with the kind's values as defaults
+ * @throws {Error} If the kind is unknown
+ */
+export function applyElementKind(options) {
+  if (!options.kind) return options;
+  const kind = ELEMENT_KINDS[options.kind];
+  if (!kind) {
+    throw new Error(`Unknown element kind "${options.kind}". Valid kinds: ${Object.keys(ELEMENT_KINDS).join(', ')}`);
+  }
+  const { label, ...defaults } = kind;
+  const given = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+  return { ...defaults, ...given };
+}
+
+// ── Visibility Markers ───────────────────────────────────────────────
+// Structure views draw an element's icon next to a visibility icon; plugins
+// often ship the pair pre-composed.  Markers are 8×8 glyphs like the
+// built-in modifiers, in their own light/dark palette: the padlock family
+// (open, closed, hollow) plus a key for protected members.
+export const VISIBILITY_MARKERS = {
+  public: builtinModifier('Public', { lightColor: '#208A3C', darkColor: '#57965C' },
+    c => `<path d="M2.25 3.5V2.5C2.25 1.53 3.03 0.75 4 0.75C4.97 0.75 5.75 1.53 5.75 2.5" fill="none" stroke="${c}" stroke-width="1.2"/><rect x="1" y="3.5" width="6" height="4.5" rx="1" fill="${c}"/>`),
+  private: builtinModifier('Private', { lightColor: '#DB3B4B', darkColor: '#DB5C5C' },
+    c => `<path d="M2.25 3.5V2.5C2.25 1.53 3.03 0.75 4 0.75C4.97 0.75 5.75 1.53 5.75 2.5V3.5" fill="none" stroke="${c}" stroke-width="1.2"/><rect x="1" y="3.5" width="6" height="4.5" rx="1" fill="${c}"/>`),
+  protected: builtinModifier('Protected', { lightColor: '#FFAF0F', darkColor: '#F2C55C' },
+    c => `<circle cx="2.75" cy="2.75" r="2" fill="none" stroke="${c}" stroke-width="1.2"/><path d="M4.2 4.2L7.3 7.3M5.75 5.75L4.75 6.75M6.75 6.75L6 7.5" fill="none" stroke="${c}" stroke-width="1.2" stroke-linecap="round"/>`),
+  package: builtinModifier('Package', MODIFIER_GREY,
+    c => `<path d="M2.25 3.5V2.5C2.25 1.53 3.03 0.75 4 0.75C4.97 0.75 5.75 1.53 5.75 2.5V3.5" fill="none" stroke="${c}" stroke-width="1.2"/><rect x="1.6" y="4.1" width="4.8" height="3.3" rx="0.6" fill="none" stroke="${c}" stroke-width="1.2"/>`),
+};
+
+// row:     marker to the right of the icon, on a canvas twice as wide
+// overlay: marker cut into the icon's bottom-left corner like a badge
+export const VISIBILITY_LAYOUTS = ['row', 'overlay'];
+
+/**
+ * Returns a visibility marker as a standalone 8×8 badge SVG in its color
+ * for the given theme.
+ * @param {string} key - Marker key (see VISIBILITY_MARKERS)
+ * @param {'light'|'dark'} theme - Theme variant
+ * @returns {string}
+ * @throws {Error} If the marker is unknown
+ */
+export function generateVisibilityMarker(key, theme) {
+  const marker = VISIBILITY_MARKERS[key];
+  if (!marker) {
+    throw new Error(`Unknown visibility "${key}". Valid values: ${Object.keys(VISIBILITY_MARKERS).join(', ')}`);
+  }
+  return marker.generate(theme === 'dark' ? marker.darkColor : marker.lightColor);
+}
+
+/**
+ * Lays an icon and a marker side by side, as IntelliJ's RowIcon does: the
+ * canvas is twice as wide as the icon and the marker is centered in the
+ * right half, scaled by whole pixels (1× up to 23px, 2× up to 39px, ...)
+ * so its edges stay on the pixel grid.
+ * @param {string} iconSvg - Finished square icon (before optimization)
+ * @param {string} markerSvg - 8×8 marker (see generateVisibilityMarker)
+ * @param {number} viewBoxSize - ViewBox size of the icon
+ * @returns {string} SVG of viewBoxSize × 2 by viewBoxSize
+ */
+export function composeRowIcon(iconSvg, markerSvg, viewBoxSize) {
+  const inner = svg => svg.match(/<svg[^>]*>([\s\S]*)<\/svg>/i)?.[1].trim() ?? '';
+  const k = Math.max(1, Math.round(viewBoxSize / BASE_ICON_SIZE));
+  const pad = Math.floor((viewBoxSize - 8 * k) / 2);
+  const width = viewBoxSize * 2;
+  return `<svg width="${width}" height="${viewBoxSize}" viewBox="0 0 ${width} ${viewBoxSize}" fill="none" xmlns="http://www.w3.org/2000/svg">
+  ${inner(iconSvg)}
+  <g transform="translate(${viewBoxSize + pad} ${pad})${k === 1 ? '' : ` scale(${k})`}">${inner(markerSvg)}</g>
+</svg>`;
+}
+
 // ── Font URL Resolution ──────────────────────────────────────────────
-export function getFontUrl(key, bold, italic) {
+// With `variable`, built-in fonts resolve to their variable TTFs from the
+// Google Fonts repository (weight comes from the wght axis instead of the
+// bold flag).  fontkit can only vary TTF/OTF data, not WOFF/WOFF2.
+export function getFontUrl(key, bold, italic, variable = false) {
+  if (variable) {
+    const file = { 'open-sans': ['opensans/OpenSans', 'wdth,wght'], inter: ['inter/Inter', 'opsz,wght'] }[key];
+    if (!file) return null;
+    return `https://raw.githubusercontent.com/google/fonts/main/ofl/${file[0]}${italic ? '-Italic' : ''}%5B${file[1]}%5D.ttf`;
+  }
   if (key === 'open-sans') {
     const weight = bold ? 'Bold' : 'SemiBold';
     const style = italic ? 'Italic' : '';
@@ -413,10 +1680,311 @@ export function calibrateFontSize(font, letter = 'E', targetHeight = 7.0) {
 }
 
 // ── Content Fit Scaling (internal) ───────────────────────────────────
+// The room available to text is measured on the shape's own markup: it is
+// generated with marker colors, flattened to polylines, and the text box is
+// grown until it comes within 1px of an inner stroke edge or the fill
+// boundary.  Built-in and imported shapes are handled alike.
+
+const FIT_PADDING = 1;
+const FIT_FILL = '#f111f1';
+const FIT_STROKE = '#5111f5';
+const CURVE_STEPS = 8;
+const UNRENDERED_TAGS = new Set(['defs', 'clipPath', 'mask', 'pattern', 'marker', 'symbol', 'linearGradient', 'radialGradient', 'filter', 'style', 'title', 'desc', 'metadata']);
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiplyMatrix(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function parseTransform(text) {
+  let m = IDENTITY;
+  for (const [, fn, argText] of (text || '').matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    const a = argText.trim().split(/[\s,]+/).map(Number);
+    let t;
+    if (fn === 'matrix') t = a;
+    else if (fn === 'translate') t = [1, 0, 0, 1, a[0], a[1] || 0];
+    else if (fn === 'scale') t = [a[0], 0, 0, a[1] ?? a[0], 0, 0];
+    else if (fn === 'skewX') t = [1, 0, Math.tan(a[0] * Math.PI / 180), 1, 0, 0];
+    else if (fn === 'skewY') t = [1, Math.tan(a[0] * Math.PI / 180), 0, 1, 0, 0];
+    else {
+      const rad = a[0] * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+      const [cx = 0, cy = 0] = a.slice(1);
+      t = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    }
+    m = multiplyMatrix(m, t);
+  }
+  return m;
+}
+
+/** Flattens SVG path data into polylines: `[{ points: [[x, y], …], closed }]`. */
+function flattenPathData(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const subpaths = [];
+  let i = 0, cmd = null, prevCmd = '';
+  let x = 0, y = 0, startX = 0, startY = 0, ctrlX = 0, ctrlY = 0;
+  let current = null;
+  const num = () => parseFloat(tokens[i++]);
+  const flag = () => {
+    // Arc flags may be written without separators ("a1 1 0 01.5.5")
+    const t = tokens[i];
+    if (t.length > 1 && (t[0] === '0' || t[0] === '1') && !t.includes('.')) {
+      tokens[i] = t.slice(1);
+      return +t[0];
+    }
+    i++;
+    return +t;
+  };
+  const lineTo = (nx, ny) => { current.points.push([nx, ny]); x = nx; y = ny; };
+  const curveTo = (pts) => {
+    const p0 = [x, y];
+    for (let s = 1; s <= CURVE_STEPS; s++) {
+      const t = s / CURVE_STEPS, u = 1 - t;
+      const p = pts.length === 2
+        ? [u * u * p0[0] + 2 * u * t * pts[0][0] + t * t * pts[1][0], u * u * p0[1] + 2 * u * t * pts[0][1] + t * t * pts[1][1]]
+        : [u * u * u * p0[0] + 3 * u * u * t * pts[0][0] + 3 * u * t * t * pts[1][0] + t * t * t * pts[2][0],
+          u * u * u * p0[1] + 3 * u * u * t * pts[0][1] + 3 * u * t * t * pts[1][1] + t * t * t * pts[2][1]];
+      current.points.push(p);
+    }
+    [x, y] = pts[pts.length - 1];
+  };
+  const arcTo = (rx, ry, angle, large, sweep, nx, ny) => {
+    // Endpoint to center parameterization (SVG 1.1 implementation notes, F.6.5)
+    rx = Math.abs(rx); ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (nx === x && ny === y)) { lineTo(nx, ny); return; }
+    const phi = angle * Math.PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x - nx) / 2, dy = (y - ny) / 2;
+    const x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+    const num2 = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const coef = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num2 / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+    const cx1 = coef * rx * y1 / ry, cy1 = -coef * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (x + nx) / 2, cy = sin * cx1 + cos * cy1 + (y + ny) / 2;
+    const theta = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    const steps = Math.max(2, Math.ceil(Math.abs(delta) / (Math.PI / 8)));
+    for (let s = 1; s <= steps; s++) {
+      const t = theta + delta * s / steps;
+      current.points.push([cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos]);
+    }
+    x = nx; y = ny;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) break;
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0, oy = rel ? y : 0;
+    switch (cmd.toUpperCase()) {
+      case 'M': {
+        const nx = num() + ox, ny = num() + oy;
+        current = { points: [[nx, ny]], closed: false };
+        subpaths.push(current);
+        x = startX = nx; y = startY = ny;
+        cmd = rel ? 'l' : 'L';
+        break;
+      }
+      case 'L': lineTo(num() + ox, num() + oy); break;
+      case 'H': lineTo(num() + ox, y); break;
+      case 'V': lineTo(x, num() + oy); break;
+      case 'C': {
+        const p = [[num() + ox, num() + oy], [num() + ox, num() + oy], [num() + ox, num() + oy]];
+        [ctrlX, ctrlY] = p[1];
+        curveTo(p);
+        break;
+      }
+      case 'S': {
+        const c1 = /[CS]/i.test(prevCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+        const p = [c1, [num() + ox, num() + oy], [num() + ox, num() + oy]];
+        [ctrlX, ctrlY] = p[1];
+        curveTo(p);
+        break;
+      }
+      case 'Q': {
+        const p = [[num() + ox, num() + oy], [num() + ox, num() + oy]];
+        [ctrlX, ctrlY] = p[0];
+        curveTo(p);
+        break;
+      }
+      case 'T': {
+        const c1 = /[QT]/i.test(prevCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+        const p = [c1, [num() + ox, num() + oy]];
+        [ctrlX, ctrlY] = c1;
+        curveTo(p);
+        break;
+      }
+      case 'A': {
+        const rx = num(), ry = num(), angle = num(), large = flag(), sweep = flag();
+        arcTo(rx, ry, angle, large, sweep, num() + ox, num() + oy);
+        break;
+      }
+      case 'Z':
+        current.closed = true;
+        x = startX; y = startY;
+        current = { points: [[x, y]], closed: false };
+        subpaths.push(current);
+        break;
+      default:
+        i++;
+    }
+    prevCmd = cmd;
+  }
+  return subpaths.filter(s => s.points.length > 1);
+}
+
+/** Polylines of a basic shape element, in its own coordinates. */
+function elementOutline(tag, a) {
+  const n = k => parseFloat(a[k]) || 0;
+  const ellipse = (cx, cy, rx, ry) => [{
+    closed: true,
+    points: Array.from({ length: 48 }, (_, s) => [cx + rx * Math.cos(s * Math.PI / 24), cy + ry * Math.sin(s * Math.PI / 24)]),
+  }];
+  switch (tag) {
+    case 'path': return flattenPathData(a.d || '');
+    case 'circle': return ellipse(n('cx'), n('cy'), n('r'), n('r'));
+    case 'ellipse': return ellipse(n('cx'), n('cy'), n('rx'), n('ry'));
+    case 'line': return [{ closed: false, points: [[n('x1'), n('y1')], [n('x2'), n('y2')]] }];
+    case 'polyline':
+    case 'polygon': {
+      const v = (a.points || '').trim().split(/[\s,]+/).map(Number);
+      const points = [];
+      for (let k = 0; k + 1 < v.length; k += 2) points.push([v[k], v[k + 1]]);
+      return [{ closed: tag === 'polygon', points }];
+    }
+    case 'rect': {
+      const x = n('x'), y = n('y'), w = n('width'), h = n('height');
+      const rx = Math.min(a.rx != null ? n('rx') : n('ry'), w / 2), ry = Math.min(a.ry != null ? n('ry') : rx, h / 2);
+      if (!(rx > 0 && ry > 0)) return [{ closed: true, points: [[x, y], [x + w, y], [x + w, y + h], [x, y + h]] }];
+      return flattenPathData(`M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}V${y + h - ry}A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`);
+    }
+    default: return [];
+  }
+}
+
+/**
+ * Visits every rendered element of shape markup with its outline in root
+ * coordinates, its inherited fill and stroke (lower case) and its stroke
+ * width scaled by the element's transform.
+ */
+function walkShapeMarkup(markup, visit) {
+  const stack = [{ m: IDENTITY, fill: 'black', stroke: 'none', sw: 1, skip: false }];
+  for (const [, close, tag, attrText, selfClose] of markup.matchAll(/<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g)) {
+    if (close) { if (stack.length > 1) stack.pop(); continue; }
+    const a = {};
+    for (const [, k, , v1, v2] of attrText.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) a[k] = v1 ?? v2;
+    const parent = stack[stack.length - 1];
+    const m = a.transform ? multiplyMatrix(parent.m, parseTransform(a.transform)) : parent.m;
+    const state = {
+      m,
+      fill: a.fill ?? parent.fill,
+      stroke: a.stroke ?? parent.stroke,
+      sw: a['stroke-width'] != null ? parseFloat(a['stroke-width']) : parent.sw,
+      skip: parent.skip || UNRENDERED_TAGS.has(tag),
+    };
+    if (!state.skip) {
+      const outline = elementOutline(tag, a).map(({ points, closed }) => ({
+        closed,
+        points: points.map(([px, py]) => [m[0] * px + m[2] * py + m[4], m[1] * px + m[3] * py + m[5]]),
+      }));
+      if (outline.length > 0) {
+        visit({
+          outline,
+          fill: state.fill.toLowerCase(),
+          stroke: state.stroke.toLowerCase(),
+          sw: state.sw * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])),
+        });
+      }
+    }
+    if (!selfClose) stack.push(state);
+  }
+}
+
+/**
+ * Reads shape markup into the geometry the fit is measured against.
+ * `regions` are filled outlines (the text center must lie inside them);
+ * `edges` are polylines with the clearance text must keep from them.
+ */
+function shapeFitGeometry(markup) {
+  const regions = [], edges = [], strokedRegions = [];
+  walkShapeMarkup(markup, ({ outline, fill, stroke, sw }) => {
+    if (fill !== 'none' && fill !== 'transparent') {
+      // Fill boundary; stroke-colored fills are dashes or border pieces
+      edges.push(...outline.map(o => ({ ...o, closed: true, clearance: FIT_PADDING })));
+      if (fill !== FIT_STROKE) regions.push(outline);
+    }
+    if (stroke !== 'none' && stroke !== 'transparent' && sw > 0) {
+      edges.push(...outline.map(o => ({ ...o, clearance: sw / 2 + FIT_PADDING })));
+      if (outline.some(o => o.closed)) strokedRegions.push(outline.filter(o => o.closed));
+    }
+  });
+  return { regions: regions.length > 0 ? regions : strokedRegions, edges };
+}
+
+// Even-odd test within each region, union across regions.
+function insideRegions(regions, px, py) {
+  return regions.some(outline => {
+    let inside = false;
+    for (const { points } of outline) {
+      for (let k = 0, j = points.length - 1; k < points.length; j = k++) {
+        const [xi, yi] = points[k], [xj, yj] = points[j];
+        if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+      }
+    }
+    return inside;
+  });
+}
+
+function pointBoxDistance(px, py, box) {
+  const dx = Math.max(box.x1 - px, 0, px - box.x2);
+  const dy = Math.max(box.y1 - py, 0, py - box.y2);
+  return Math.hypot(dx, dy);
+}
+
+function pointSegmentDistance(px, py, [ax, ay], [bx, by]) {
+  const lx = bx - ax, ly = by - ay;
+  const len2 = lx * lx + ly * ly;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * lx + (py - ay) * ly) / len2)) : 0;
+  return Math.hypot(px - ax - t * lx, py - ay - t * ly);
+}
+
+function segmentsCross(p1, p2, p3, p4) {
+  const d = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return d(p1, p2, p3) * d(p1, p2, p4) < 0 && d(p3, p4, p1) * d(p3, p4, p2) < 0;
+}
+
+function segmentBoxDistance(a, b, box) {
+  const corners = [[box.x1, box.y1], [box.x2, box.y1], [box.x2, box.y2], [box.x1, box.y2]];
+  if (pointBoxDistance(a[0], a[1], box) === 0 || pointBoxDistance(b[0], b[1], box) === 0) return 0;
+  if (corners.some((c, k) => segmentsCross(a, b, c, corners[(k + 1) % 4]))) return 0;
+  return Math.min(
+    pointBoxDistance(a[0], a[1], box),
+    pointBoxDistance(b[0], b[1], box),
+    ...corners.map(([cx, cy]) => pointSegmentDistance(cx, cy, a, b)),
+  );
+}
+
+function boxClearsEdges(edges, box) {
+  for (const { points, closed, clearance } of edges) {
+    const count = closed ? points.length : points.length - 1;
+    for (let k = 0; k < count; k++) {
+      if (segmentBoxDistance(points[k], points[(k + 1) % points.length], box) < clearance) return false;
+    }
+  }
+  return true;
+}
+
 /**
  * Computes a scale factor (0..1] so that a text bounding box of the given
  * width/height fits inside the usable interior of a shape with 1px padding
- * from the inner stroke edge.
+ * from the inner stroke edge.  The interior is measured on the shape's
+ * generated geometry, so it works for any entry in SHAPES.
  * @param {number} textW - Text bounding box width
  * @param {number} textH - Text bounding box height
  * @param {string} shapeName - Shape key (see SHAPES)
@@ -424,90 +1992,45 @@ export function calibrateFontSize(font, letter = 'E', targetHeight = 7.0) {
  * @param {number} xOffset - User horizontal offset
  * @param {number} yOffset - User vertical offset
  * @param {number} shapeScale - Shape scale factor
+ * @param {object} [shapeParams] - Resolved shape parameters (see resolveShapeParams)
  * @returns {number} Scale factor to multiply fontSize by (clamped to 1)
  */
-function contentFitScale(textW, textH, shapeName, strokeWidth, xOffset, yOffset, shapeScale) {
-  const pad = 1;
-  const sc = shapeScale;
-  const sw = strokeWidth;
+function contentFitScale(textW, textH, shapeName, strokeWidth, xOffset, yOffset, shapeScale, shapeParams = {}) {
   const shapeDef = SHAPES[shapeName];
   if (!shapeDef) return 1;
 
+  // Measured in the shape's native coordinates: the text box, offsets and
+  // padding shrink by the shape scale instead of the shape growing.
   const c = (shapeDef.viewBoxSize ?? 16) / 2;
-  // Dashed shapes use effectiveSW=1 regardless of strokeWidth
-  const isDashed = shapeName === 'dashed-circle' || shapeName === 'dashed-rect';
-  const esw = isDashed ? 1 : sw;
-
-  const halfW = textW / 2;
-  const halfH = textH / 2;
-
-  let scale = 1;
-
-  if (shapeName === 'circle' || shapeName === 'dashed-circle') {
-    // Circle inscribed constraint: text diagonal/2 <= r
-    const r = (c - 1 - esw) * sc - pad - Math.sqrt(xOffset * xOffset + yOffset * yOffset);
-    if (r > 0) {
-      const diag = Math.sqrt(halfW * halfW + halfH * halfH);
-      if (diag > r) scale = r / diag;
-    }
-  } else if (shapeName === 'diamond' || shapeName === 'rounded-diamond') {
-    // Diamond (L1 norm): halfW + halfH <= d
-    const d = (c - 1 - esw) * sc - pad - Math.abs(xOffset) - Math.abs(yOffset);
-    if (d > 0) {
-      const l1 = halfW + halfH;
-      if (l1 > d) scale = d / l1;
-    }
-  } else if (shapeName === 'shield') {
-    const shW = (5.5 - esw / 2) * sc - pad - Math.abs(xOffset);
-    const shH = (4.17 - esw / 2) * sc - pad - Math.abs(yOffset);
-    if (shW > 0 && shH > 0) {
-      const sx = halfW > shW ? shW / halfW : 1;
-      const sy = halfH > shH ? shH / halfH : 1;
-      scale = Math.min(sx, sy);
-    }
-  } else if (shapeName === 'hexagon') {
-    const hW = (5.0 - esw / 2) * sc - pad - Math.abs(xOffset);
-    const hH = (5.5 - esw / 2) * sc - pad - Math.abs(yOffset);
-    if (hW > 0 && hH > 0) {
-      const sx = halfW > hW ? hW / halfW : 1;
-      const sy = halfH > hH ? hH / halfH : 1;
-      scale = Math.min(sx, sy);
-    }
-  } else if (shapeName === 'document') {
-    const dW = (4.25 - esw / 2) * sc - pad - Math.abs(xOffset);
-    const dH = (3.75 - esw / 2) * sc - pad - Math.abs(yOffset);
-    if (dW > 0 && dH > 0) {
-      const sx = halfW > dW ? dW / halfW : 1;
-      const sy = halfH > dH ? dH / halfH : 1;
-      scale = Math.min(sx, sy);
-    }
-  } else if (shapeName === 'composite') {
-    const cW = (4.5 - esw / 2) * sc - pad - Math.abs(xOffset);
-    const cH = (4.5 - esw / 2) * sc - pad - Math.abs(yOffset);
-    if (cW > 0 && cH > 0) {
-      const sx = halfW > cW ? cW / halfW : 1;
-      const sy = halfH > cH ? cH / halfH : 1;
-      scale = Math.min(sx, sy);
-    }
-  } else {
-    // roundrect, dashed-rect — rectangle constraint
-    const halfExtentW = (c - 1.5 - esw) * sc - pad - Math.abs(xOffset);
-    const halfExtentH = (c - 1.5 - esw) * sc - pad - Math.abs(yOffset);
-    if (halfExtentW > 0 && halfExtentH > 0) {
-      const sx = halfW > halfExtentW ? halfExtentW / halfW : 1;
-      const sy = halfH > halfExtentH ? halfExtentH / halfH : 1;
-      scale = Math.min(sx, sy);
-    }
+  const sc = shapeScale;
+  const { regions, edges } = shapeFitGeometry(shapeDef.generate(FIT_FILL, FIT_STROKE, strokeWidth, c, shapeParams));
+  const cx = c + (xOffset + (shapeDef.defaultXOffset ?? 0)) / sc;
+  const cy = c + (yOffset + (shapeDef.defaultYOffset ?? 0)) / sc;
+  const padded = edges.map(e => ({ ...e, clearance: e.clearance - FIT_PADDING + FIT_PADDING / sc }));
+
+  const fits = s => {
+    const hw = textW * s / 2 / sc, hh = textH * s / 2 / sc;
+    return boxClearsEdges(padded, { x1: cx - hw, y1: cy - hh, x2: cx + hw, y2: cy + hh });
+  };
+  // Text centered outside the shape, or with no room at all, is left as is
+  if (!insideRegions(regions, cx, cy) || !fits(0)) return 1;
+  if (fits(1)) return 1;
+
+  let lo = 0, hi = 1;
+  for (let k = 0; k < 20; k++) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid)) lo = mid;
+    else hi = mid;
   }
-
-  return Math.min(scale, 1);
+  return lo;
 }
 
 // ── Bound Font Size to Shape ─────────────────────────────────────────
 /**
  * For multi-character text, reduces the calibrated font size so the rendered
- * text fits within the shape interior.  Single-character text is returned
- * unchanged (the cap-height calibration already handles it).
+ * text (as laid out by layoutText) fits within the shape interior.
+ * Single-character text is returned unchanged (the cap-height calibration
+ * already handles it).
  * @param {object} font - A fontkit Font object
  * @param {string} letter - The letter(s) to render
  * @param {number} calibratedSize - Font size from calibrateFontSize()
@@ -516,21 +2039,424 @@ function contentFitScale(textW, textH, shapeName, strokeWidth, xOffset, yOffset,
  * @param {number} xOffset - User horizontal offset
  * @param {number} yOffset - User vertical offset
  * @param {number} shapeScale - Shape scale factor
+ * @param {{ layout?: string, letterSpacing?: number }} [textLayout] - Layout options (see layoutText)
+ * @param {object} [shapeParams] - Resolved shape parameters (see resolveShapeParams)
  * @returns {number} Bounded font size (rounded to 1 decimal)
  */
-export function boundFontSizeToShape(font, letter, calibratedSize, shapeName, strokeWidth, xOffset, yOffset, shapeScale) {
+export function boundFontSizeToShape(font, letter, calibratedSize, shapeName, strokeWidth, xOffset, yOffset, shapeScale, textLayout = {}, shapeParams = {}) {
   if (!font || !letter || letter.length <= 1) return calibratedSize;
 
-  const path = getTextPath(font, letter, 0, 0, calibratedSize);
+  const path = layoutText(font, letter, 0, 0, calibratedSize, textLayout);
   const bb = path.getBoundingBox();
   const w = bb.x2 - bb.x1;
   const h = bb.y2 - bb.y1;
   if (w <= 0 && h <= 0) return calibratedSize;
 
-  const scale = contentFitScale(w, h, shapeName, strokeWidth, xOffset, yOffset, shapeScale);
+  const scale = contentFitScale(w, h, shapeName, strokeWidth, xOffset, yOffset, shapeScale, shapeParams);
   return Math.round(calibratedSize * scale * 10) / 10;
 }
 
+// ── Dashed Outlines ──────────────────────────────────────────────────
+// Any shape can be drawn dashed: it is generated with a marker stroke color,
+// every outline stroked in that color is split into dashes, and the dashes
+// are emitted as filled paths (like the official dashed shapes) so they
+// survive IntelliJ's SVG renderer and badge cutouts.  Closed outlines get an
+// even number of dashes with the gaps centered on the top of the outline,
+// which keeps symmetric shapes symmetric.
+
+const DASH_MARKER = '#da5111';
+const DASH_PERIOD = 10;  // dash + gap along the centerline (4 dashes around the 16px circle)
+const DASH_GAP = 2;      // visible gap between rounded ends, per unit of stroke width
+const DASH_MITER_LIMIT = 4;
+
+// Arc-length helpers over a polyline
+function measurePolyline(points) {
+  const lengths = [0];
+  for (let k = 1; k < points.length; k++) {
+    lengths.push(lengths[k - 1] + Math.hypot(points[k][0] - points[k - 1][0], points[k][1] - points[k - 1][1]));
+  }
+  return lengths;
+}
+
+function segmentAt(lengths, pos) {
+  let k = 1;
+  while (k < lengths.length - 1 && lengths[k] < pos) k++;
+  return k;
+}
+
+function pointAt(points, lengths, pos) {
+  const k = segmentAt(lengths, pos);
+  const span = lengths[k] - lengths[k - 1];
+  const t = span > 0 ? (pos - lengths[k - 1]) / span : 0;
+  return [points[k - 1][0] + (points[k][0] - points[k - 1][0]) * t, points[k - 1][1] + (points[k][1] - points[k - 1][1]) * t];
+}
+
+/**
+ * Moves a visible dash end so it lands on an output pixel boundary where
+ * the outline runs horizontally or vertically; other ends are left alone.
+ */
+function snapDashEnd(points, lengths, pos, grid) {
+  const k = segmentAt(lengths, pos);
+  const [ax, ay] = points[k - 1], [bx, by] = points[k];
+  const span = lengths[k] - lengths[k - 1];
+  const axis = Math.abs(by - ay) < 1e-6 ? 0 : Math.abs(bx - ax) < 1e-6 ? 1 : -1;
+  if (axis < 0 || span === 0) return pos;
+  const value = pointAt(points, lengths, pos)[axis];
+  const snapped = (Math.round(value * grid.k + grid.offset) - grid.offset) / grid.k;
+  const moved = pos + (snapped - value) / (([bx - ax, by - ay][axis]) / span);
+  return moved >= lengths[k - 1] && moved <= lengths[k] ? moved : pos;
+}
+
+/** Outline of one dash: the centerline from `from` to `to`, offset by ±h, with round ends. */
+function dashPath(points, lengths, from, to, h) {
+  const line = [pointAt(points, lengths, from)];
+  for (let k = segmentAt(lengths, from); k < lengths.length && lengths[k] < to; k++) line.push(points[k]);
+  line.push(pointAt(points, lengths, to));
+  const path = line.filter((p, k) => k === 0 || Math.hypot(p[0] - line[k - 1][0], p[1] - line[k - 1][1]) > 1e-6);
+  if (path.length < 2) return '';
+
+  const dirs = path.slice(1).map((p, k) => {
+    const len = Math.hypot(p[0] - path[k][0], p[1] - path[k][1]);
+    return [(p[0] - path[k][0]) / len, (p[1] - path[k][1]) / len];
+  });
+  const sides = [[], []];
+  path.forEach((p, k) => {
+    const d1 = dirs[Math.max(0, k - 1)], d2 = dirs[Math.min(dirs.length - 1, k)];
+    const n1 = [-d1[1], d1[0]], n2 = [-d2[1], d2[0]];
+    const nm = [n1[0] + n2[0], n1[1] + n2[1]];
+    const nmLen = Math.hypot(nm[0], nm[1]);
+    const miter = nmLen > 1e-9 ? (2 / nmLen) : Infinity;
+    [1, -1].forEach((sign, side) => {
+      // The outer side of a sharp corner is beveled
+      const outer = sign * (n1[0] * (d2[0] - d1[0]) + n1[1] * (d2[1] - d1[1])) < 0;
+      if (outer && miter > DASH_MITER_LIMIT) {
+        sides[side].push([p[0] + sign * n1[0] * h, p[1] + sign * n1[1] * h], [p[0] + sign * n2[0] * h, p[1] + sign * n2[1] * h]);
+      } else {
+        const f = Math.min(miter, DASH_MITER_LIMIT) * h / 2;
+        sides[side].push([p[0] + sign * nm[0] * f, p[1] + sign * nm[1] * f]);
+      }
+    });
+  });
+  const pt = ([x, y]) => `${r(x)} ${r(y)}`;
+  const [left, right] = [sides[0], sides[1].reverse()];
+  return `M${left.map(pt).join('L')}A${r(h)} ${r(h)} 0 0 0 ${right.map(pt).join('L')}A${r(h)} ${r(h)} 0 0 0 ${pt(left[0])}Z`;
+}
+
+/**
+ * Splits one stroked outline into dashes.
+ * @returns {string|null} Path data of the dashes, or null when the outline
+ *   is too short to dash
+ */
+function dashOutline({ points: raw, closed }, sw, grid) {
+  const points = raw.filter((p, k) => k === 0 || Math.hypot(p[0] - raw[k - 1][0], p[1] - raw[k - 1][1]) > 1e-6);
+  if (closed && points.length > 1 && Math.hypot(points[0][0] - points.at(-1)[0], points[0][1] - points.at(-1)[1]) <= 1e-6) points.pop();
+  if (points.length < 2) return null;
+
+  const h = sw / 2, gap = DASH_GAP * sw;
+  let ring = closed ? [...points, points[0]] : points;
+  let lengths = measurePolyline(ring);
+  const length = lengths.at(-1);
+  const ends = [];
+  if (closed) {
+    // Start the pattern on the outline's top, straight above its center
+    const xs = points.map(p => p[0]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    let top = null;
+    for (let k = 1; k < ring.length; k++) {
+      const [ax, ay] = ring[k - 1], [bx, by] = ring[k];
+      if ((ax - cx) * (bx - cx) > 0 || ax === bx) continue;
+      const t = (cx - ax) / (bx - ax), y = ay + (by - ay) * t;
+      if (top == null || y < top.y) top = { y, pos: lengths[k - 1] + (lengths[k] - lengths[k - 1]) * t };
+    }
+    const start = top?.pos ?? 0;
+    // Unroll twice so dashes can run past the starting vertex
+    ring = [...ring, ...points.slice(1), points[0]];
+    lengths = measurePolyline(ring);
+    const count = Math.max(2, 2 * Math.round(length / (2 * DASH_PERIOD)));
+    const period = length / count;
+    for (let k = 0; k < count; k++) ends.push([start + k * period + gap / 2, start + (k + 1) * period - gap / 2]);
+  } else {
+    const count = Math.max(1, Math.round((length + gap) / DASH_PERIOD));
+    const dash = (length - (count - 1) * gap) / count;
+    for (let k = 0; k < count; k++) ends.push([k * (dash + gap), k * (dash + gap) + dash]);
+  }
+  if (ends[0][1] - ends[0][0] < sw) return null;
+
+  return ends.map(([a, b]) => {
+    if (grid) {
+      const [sa, sb] = [snapDashEnd(ring, lengths, a, grid), snapDashEnd(ring, lengths, b, grid)];
+      if (sb - sa >= sw) [a, b] = [sa, sb];
+    }
+    return dashPath(ring, lengths, a + h, b - h, h);
+  }).join('');
+}
+
+/**
+ * Replaces the outlines stroked in DASH_MARKER with filled dashes.
+ * @param {string} markup - Shape markup generated with DASH_MARKER as stroke
+ * @param {string} stroke - Stroke color
+ * @param {{ k: number, offset: number }|null} grid - Native → pixel transform the dash ends snap to
+ * @returns {string} Shape markup
+ */
+function dashShapeMarkup(markup, stroke, grid) {
+  const dashes = [];
+  walkShapeMarkup(markup, ({ outline, stroke: paint, sw }) => {
+    if (paint !== DASH_MARKER || !(sw > 0)) return;
+    for (const o of outline) {
+      const d = dashOutline(o, sw, grid);
+      const line = `M${o.points.map(([x, y]) => `${r(x)} ${r(y)}`).join('L')}${o.closed ? 'Z' : ''}`;
+      dashes.push(d
+        ? `<path d="${d}" fill="${stroke}"/>`
+        : `<path d="${line}" fill="none" stroke="${stroke}" stroke-width="${+sw.toFixed(4)}"/>`);
+    }
+  });
+  const body = markup.replaceAll(`stroke="${DASH_MARKER}"`, 'stroke="none"').replaceAll(DASH_MARKER, stroke);
+  return [body, ...dashes].join('\n  ');
+}
+
+// ── Pixel-Grid Snapping ──────────────────────────────────────────────
+// A light autohinter: straight vertical edges (stems) and horizontal edges
+// (bars, plus the glyph's top and bottom) are moved onto whole pixels, with
+// stem widths rounded to at least 1px.  Every other point — curves, serifs,
+// diagonals — is interpolated linearly between the nearest snapped edges,
+// so the outline keeps its shape and only stretches by sub-pixel amounts.
+// A glyph without straight edges on an axis (e.g. "O" horizontally) is
+// only translated so its left extreme sits on a pixel.
+
+const SVG_PATH_COMMANDS = { moveTo: 'M', lineTo: 'L', quadraticCurveTo: 'Q', bezierCurveTo: 'C', closePath: 'Z' };
+
+/** Straight, axis-aligned edges of an outline, in pixels; `axis` 0 = vertical edges (x), 1 = horizontal (y). */
+function findEdges(commands, axis, toPx) {
+  const edges = [];
+  let cur = null, start = null;
+  const addSegment = (a, b) => {
+    const pa = toPx(a), pb = toPx(b);
+    const along = pb[1 - axis] - pa[1 - axis];
+    const across = pb[axis] - pa[axis];
+    if (Math.abs(along) >= 0.75 && Math.abs(across) <= Math.abs(along) * 0.02) {
+      edges.push({ pos: (pa[axis] + pb[axis]) / 2, dir: Math.sign(along) });
+    }
+  };
+  for (const { command, args } of commands) {
+    if (command === 'moveTo') {
+      cur = start = [args[0], args[1]];
+    } else if (command === 'closePath') {
+      if (cur && start) addSegment(cur, start);
+      cur = start;
+    } else {
+      const end = [args[args.length - 2], args[args.length - 1]];
+      if (command === 'lineTo' && cur) addSegment(cur, end);
+      cur = end;
+    }
+  }
+  // Merge collinear pieces of the same edge
+  edges.sort((a, b) => a.pos - b.pos);
+  return edges.filter((e, i) => !edges.slice(0, i).some(o => o.dir === e.dir && Math.abs(o.pos - e.pos) < 0.05));
+}
+
+// Rounds a span's length to whole pixels (at least 1), then places it so
+// both ends land on the grid with its center moving as little as possible.
+function snapSpan(lo, hi) {
+  const width = Math.max(1, Math.round(hi - lo));
+  const start = Math.round((lo + hi - width) / 2);
+  return [start, start + width];
+}
+
+/**
+ * Snapped positions ([orig, snapped] in pixels) for one axis.  `extent`
+ * (the glyph's [top, bottom]) is snapped first as a span, so overall height
+ * is rounded rather than each side separately; stems touching it keep
+ * their rounded width from the snapped side.
+ */
+function snapControls(edges, extent, maxStem) {
+  const controls = [];
+  const fixed = pos => controls.find(([o]) => Math.abs(o - pos) < 0.05);
+  if (extent) {
+    const [lo, hi] = snapSpan(...extent);
+    controls.push([extent[0], lo], [extent[1], hi]);
+  }
+
+  const used = new Set();
+  for (let i = 0; i < edges.length; i++) {
+    if (used.has(i)) continue;
+    const a = edges[i];
+    const j = edges.findIndex((e, k) => k > i && !used.has(k) && e.dir !== a.dir && e.pos - a.pos <= maxStem);
+    if (j >= 0) {
+      const b = edges[j];
+      const width = Math.max(1, Math.round(b.pos - a.pos));
+      const fa = fixed(a.pos), fb = fixed(b.pos);
+      if (fa && !fb) controls.push([b.pos, fa[1] + width]);
+      else if (fb && !fa) controls.push([a.pos, fb[1] - width]);
+      else if (!fa && !fb) {
+        const [lo, hi] = snapSpan(a.pos, b.pos);
+        controls.push([a.pos, lo], [b.pos, hi]);
+      }
+      used.add(i).add(j);
+    } else if (!fixed(a.pos)) {
+      controls.push([a.pos, Math.round(a.pos)]);
+    }
+  }
+  controls.sort((a, b) => a[0] - b[0]);
+  // Keep the mapping monotonic
+  for (let i = 1; i < controls.length; i++) {
+    if (controls[i][1] < controls[i - 1][1]) controls[i][1] = controls[i - 1][1];
+  }
+  return controls;
+}
+
+/** Piecewise-linear map through the controls; outside them, points move with the nearest one. */
+function interpolator(controls) {
+  return v => {
+    if (controls.length === 0) return v;
+    const first = controls[0], last = controls[controls.length - 1];
+    if (v <= first[0]) return v + first[1] - first[0];
+    if (v >= last[0]) return v + last[1] - last[0];
+    const i = controls.findIndex(([o]) => o >= v);
+    const [o0, s0] = controls[i - 1], [o1, s1] = controls[i];
+    return o1 === o0 ? s0 : s0 + (v - o0) * (s1 - s0) / (o1 - o0);
+  };
+}
+
+/**
+ * Snaps a letter outline's stems, bars and position to the output pixel grid.
+ * Coordinates are native units; `grid` maps them to output pixels
+ * (pixel = offset + k × native), as returned by fitToSize().
+ * @param {Array<{command: string, args: number[]}>} commands - fontkit path commands
+ * @param {{x1: number, y1: number, x2: number, y2: number}} bbox - Outline bounding box
+ * @param {{ k: number, offset: number }} [grid={k: 1, offset: 0}] - Native → pixel transform
+ * @returns {Array<{command: string, args: number[]}>} Snapped commands
+ */
+export function snapPathToGrid(commands, bbox, { k = 1, offset = 0 } = {}) {
+  const toPx = ([x, y]) => [offset + k * x, offset + k * y];
+  const px = v => offset + k * v;
+  const maxStem = Math.max(1.5, 0.3 * (px(bbox.y2) - px(bbox.y1)));
+
+  const xEdges = findEdges(commands, 0, toPx);
+  const xControls = xEdges.length
+    ? snapControls(xEdges, null, maxStem)
+    : [[px(bbox.x1), Math.round(px(bbox.x1))]];
+  const yControls = snapControls(findEdges(commands, 1, toPx), [px(bbox.y1), px(bbox.y2)], maxStem);
+  const mapX = interpolator(xControls);
+  const mapY = interpolator(yControls);
+
+  return commands.map(({ command, args }) => ({
+    command,
+    args: args.map((v, i) => ((i % 2 === 0 ? mapX(px(v)) : mapY(px(v))) - offset) / k),
+  }));
+}
+
+function commandsToPathData(commands, decimalPlaces = 2) {
+  const factor = Math.pow(10, decimalPlaces);
+  return commands
+    .map(c => SVG_PATH_COMMANDS[c.command] + c.args.map(a => Math.round(a * factor) / factor).join(' '))
+    .join('');
+}
+
+// ── Optical Centering ────────────────────────────────────────────────
+// Bounding-box centering leaves letters like "L", "T" and "J" looking
+// off-center because most of their ink sits on one side.  Optical centering
+// moves the reference point from the bbox center toward the ink centroid;
+// going all the way over-corrects, so only part of the difference is used.
+export const CENTERING_MODES = ['bbox', 'optical'];
+
+const OPTICAL_CENTROID_WEIGHT = 0.5;
+
+/**
+ * Ink-area centroid of a filled outline.  Curves are flattened; contours
+ * wound against the outer one (counters) subtract their area.
+ * @param {Array<{command: string, args: number[]}>} commands - fontkit path commands
+ * @returns {{ x: number, y: number }|null} Centroid, or null for an empty outline
+ */
+export function inkCentroid(commands) {
+  let area = 0, cx = 0, cy = 0;
+  for (const contour of flattenOutline(commands)) {
+    contour.forEach((a, i) => {
+      const b = contour[(i + 1) % contour.length];
+      const cross = a[0] * b[1] - b[0] * a[1];
+      area += cross;
+      cx += (a[0] + b[0]) * cross;
+      cy += (a[1] + b[1]) * cross;
+    });
+  }
+  if (Math.abs(area) < 1e-9) return null;
+  return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+/**
+ * Flattens an outline into closed polygons, one per contour.
+ * @param {Array<{command: string, args: number[]}>} commands - fontkit path commands
+ * @returns {Array<Array<[number, number]>>}
+ */
+function flattenOutline(commands) {
+  const STEPS = 8;
+  const contours = [];
+  let contour = null;
+  for (const { command, args } of commands) {
+    if (command === 'moveTo') {
+      contour = [[args[0], args[1]]];
+      contours.push(contour);
+    } else if (command === 'lineTo') {
+      contour.push([args[0], args[1]]);
+    } else if (command === 'quadraticCurveTo' || command === 'bezierCurveTo') {
+      const pts = [contour[contour.length - 1]];
+      for (let i = 0; i < args.length; i += 2) pts.push([args[i], args[i + 1]]);
+      for (let step = 1; step <= STEPS; step++) contour.push(bezierPoint(pts, step / STEPS));
+    }
+  }
+  // Drop the duplicate closing point; polygons are implicitly closed
+  for (const c of contours) {
+    const [first, last] = [c[0], c[c.length - 1]];
+    if (c.length > 1 && first[0] === last[0] && first[1] === last[1]) c.pop();
+  }
+  return contours.filter(c => c.length > 2);
+}
+
+// De Casteljau evaluation of a Bézier curve of any degree
+function bezierPoint(pts, t) {
+  let level = pts;
+  while (level.length > 1) {
+    level = level.slice(1).map((p, i) => [
+      level[i][0] + (p[0] - level[i][0]) * t,
+      level[i][1] + (p[1] - level[i][1]) * t,
+    ]);
+  }
+  return level[0];
+}
+
+// ── Stem Compensation ────────────────────────────────────────────────
+// Fonts and weights put letter stems anywhere from ~0.8px to ~1.6px at the
+// calibrated size, while expUI letters match the shape's 1px stroke.  The
+// average stem width is measured on the final outline and the letter is
+// offset by half the difference (emboldened or thinned) to hit a target.
+// generateSVG marks the letter with `data-stem-offset`; the modifier engine
+// performs the offset with PaperOffset.  Without Paper.js, emboldening
+// falls back to a stroke of the same width and thinning is not possible.
+
+// Offsets smaller than this (native units) are not worth applying
+const MIN_STEM_OFFSET = 0.01;
+
+/**
+ * Estimates the average stem width of a filled outline by treating its ink
+ * as one stroke of width w and length L: area = w·L, perimeter = 2(L + w),
+ * so w = (P − √(P² − 16A)) / 4.  Exact for a bar, close for round and
+ * diagonal strokes; serifs and thin bars pull the average down slightly.
+ * @param {Array<{command: string, args: number[]}>} commands - fontkit path commands
+ * @returns {number|null} Stem width in outline units, or null for an empty outline
+ */
+export function measureStemWidth(commands) {
+  let area = 0, perimeter = 0;
+  for (const contour of flattenOutline(commands)) {
+    contour.forEach((a, i) => {
+      const b = contour[(i + 1) % contour.length];
+      area += a[0] * b[1] - b[0] * a[1];
+      perimeter += Math.hypot(b[0] - a[0], b[1] - a[1]);
+    });
+  }
+  area = Math.abs(area) / 2;
+  if (area < 1e-9) return null;
+  return (perimeter - Math.sqrt(Math.max(0, perimeter * perimeter - 16 * area))) / 4;
+}
+
 // ── Letter Path Generation ───────────────────────────────────────────
 /**
  * Generates an SVG <path> element for a letter centered in the viewBox.
@@ -541,20 +2467,24 @@ export function boundFontSizeToShape(font, letter, calibratedSize, shapeName, st
  * @param {number} [xOff=0] - Horizontal offset from center
  * @param {number} [yOff=0] - Vertical offset from center
  * @param {number} [center=8] - Center coordinate of the viewBox
- * @returns {{ path: string, error: string|null }}
+ * @param {{ k: number, offset: number }|null} [snapGrid=null] - Snap the outline to this pixel grid (see snapPathToGrid)
+ * @param {'bbox'|'optical'} [centering='bbox'] - Center the bounding box, or balance by ink (see inkCentroid)
+ * @param {{ layout?: string, letterSpacing?: number }} [textLayout] - Layout options (see layoutText)
+ * @returns {{ path: string, error: string|null, commands?: Array<{command: string, args: number[]}> }}
+ *   `commands` is the final outline, for measurements (see measureStemWidth)
  */
-export function generateLetterPath(font, letter, fill, fontSize, xOff = 0, yOff = 0, center = 8) {
+export function generateLetterPath(font, letter, fill, fontSize, xOff = 0, yOff = 0, center = 8, snapGrid = null, centering = 'bbox', textLayout = {}) {
   if (!font || !letter) return { path: '', error: null };
 
   try {
     // Check for missing glyphs using fontkit's cmap lookup
-    const missing = [...letter].filter(ch => !font.hasGlyphForCodePoint(ch.codePointAt(0)));
+    const missing = [...letter.replace(/\n/g, '')].filter(ch => !font.hasGlyphForCodePoint(ch.codePointAt(0)));
     if (missing.length > 0) {
       const chars = missing.map(c => `"${c}" (U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')})`).join(', ');
       return { path: '', error: `The current font has no glyph for ${chars}.` };
     }
 
-    const path = getTextPath(font, letter, 0, 0, fontSize);
+    const path = layoutText(font, letter, 0, 0, fontSize, textLayout);
     const bb = path.getBoundingBox();
     const w = bb.x2 - bb.x1;
     const h = bb.y2 - bb.y1;
@@ -563,19 +2493,151 @@ export function generateLetterPath(font, letter, fill, fontSize, xOff = 0, yOff
       return { path: '', error: `The current font has no glyph for "${letter}".` };
     }
 
-    const cx = center + xOff;
-    const cy = center + yOff;
-    const tx = cx - w / 2 - bb.x1;
-    const ty = cy - h / 2 - bb.y1;
+    let refX = bb.x1 + w / 2;
+    let refY = bb.y1 + h / 2;
+    if (centering === 'optical') {
+      const ink = inkCentroid(path.getCommands());
+      if (ink) {
+        refX += (ink.x - refX) * OPTICAL_CENTROID_WEIGHT;
+        refY += (ink.y - refY) * OPTICAL_CENTROID_WEIGHT;
+      }
+    }
+
+    const tx = center + xOff - refX;
+    const ty = center + yOff - refY;
 
-    const centered = getTextPath(font, letter, tx, ty, fontSize);
-    const d = centered.toPathData(2);
-    return { path: `<path d="${d}" fill="${fill}"/>`, error: null };
+    const centered = layoutText(font, letter, tx, ty, fontSize, textLayout);
+    if (snapGrid) {
+      const commands = snapPathToGrid(centered.getCommands(), centered.getBoundingBox(), snapGrid);
+      return { path: `<path d="${commandsToPathData(commands)}" fill="${fill}"/>`, error: null, commands };
+    }
+    return { path: `<path d="${centered.toPathData(2)}" fill="${fill}"/>`, error: null, commands: centered.getCommands() };
   } catch (e) {
     return { path: '', error: `Error generating letter path: ${e.message}` };
   }
 }
 
+// ── Icon Sizes ───────────────────────────────────────────────────────
+/** Nominal size every shape and target height is authored for. */
+export const BASE_ICON_SIZE = 16;
+
+/**
+ * Maps a native (16-based) viewBox onto a nominal icon size.  Rather than a
+ * plain scale, the transparent border is rounded to whole pixels
+ * (1px at 12–23, 2px at 24–39, ...) and the native content area (inside its
+ * 1-unit border) is stretched to fill what remains, so shape edges stay on
+ * the pixel grid.  Shapes with a larger native viewBox (diamond: 18) keep
+ * their proportion, rounded to an even size so the center stays on a pixel
+ * boundary.  32 is exactly 2× 16, matching IntelliJ's @2x resolution.
+ * @param {number} nativeViewBox - ViewBox size of the native design
+ * @param {number} [size=16] - Nominal icon size in pixels
+ * @returns {{ viewBoxSize: number, k: number, offset: number }} Output viewBox
+ *   and the transform (`translate(offset) scale(k)`) from native units
+ */
+export function fitToSize(nativeViewBox, size = BASE_ICON_SIZE) {
+  if (size === BASE_ICON_SIZE) return { viewBoxSize: nativeViewBox, k: 1, offset: 0 };
+  const viewBoxSize = nativeViewBox === BASE_ICON_SIZE
+    ? size
+    : 2 * Math.round(nativeViewBox * size / (2 * BASE_ICON_SIZE));
+  const border = Math.max(1, Math.round(size / BASE_ICON_SIZE));
+  const k = (viewBoxSize - 2 * border) / (nativeViewBox - 2);
+  return { viewBoxSize, k, offset: border - k };
+}
+
+/**
+ * Returns the IntelliJ file-name suffix for an icon size: none for 16,
+ * `@2x` for 32 and `@<n>x<n>` (e.g. `@20x20`) otherwise.  The `_dark`
+ * suffix goes after it (`name@2x_dark.svg`).
+ * @param {number} size - Nominal icon size in pixels
+ * @returns {string}
+ */
+export function getSizeSuffix(size) {
+  if (size === BASE_ICON_SIZE) return '';
+  if (size === BASE_ICON_SIZE * 2) return '@2x';
+  return `@${size}x${size}`;
+}
+
+/**
+ * Parses a size list such as "16,20,32" into unique positive integers.
+ * @param {string|number[]} value - Comma-separated list or array
+ * @returns {number[]}
+ * @throws {Error} If an entry is not a whole number between 8 and 512
+ */
+export function parseSizes(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const sizes = [];
+  for (const item of list) {
+    const n = Number(String(item).trim());
+    if (!Number.isInteger(n) || n < 8 || n > 512) {
+      throw new Error(`Invalid icon size "${item}". Sizes must be whole numbers between 8 and 512.`);
+    }
+    if (!sizes.includes(n)) sizes.push(n);
+  }
+  return sizes;
+}
+
+// ── Raster Export ────────────────────────────────────────────────────
+/**
+ * Returns the SVG with its root width/height set to `scale` × its viewBox,
+ * so a rasterizer renders it from the vector data at that resolution
+ * instead of upscaling a bitmap.
+ * @param {string} svgString - SVG markup with a viewBox
+ * @param {number} [scale=1] - Pixels per SVG unit
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+export function scaleSvgDimensions(svgString, scale = 1) {
+  let vbW = 16, vbH = 16;
+  const vbMatch = svgString.match(/viewBox=["']([^"']+)["']/);
+  if (vbMatch) {
+    const parts = vbMatch[1].trim().split(/[\s,]+/).map(Number);
+    if (parts[2] > 0 && parts[3] > 0) { vbW = parts[2]; vbH = parts[3]; }
+  }
+  const width = Math.max(1, Math.round(vbW * scale));
+  const height = Math.max(1, Math.round(vbH * scale));
+  const svg = svgString.replace(/<svg\b[^>]*>/i, tag =>
+    tag.replace(/\s(width|height)=["'][^"']*["']/g, '').replace(/^<svg/i, `<svg width="${width}" height="${height}"`));
+  return { svg, width, height };
+}
+
+/**
+ * Returns the HiDPI file-name suffix for a raster scale: none for 1,
+ * `@2x`, `@4x`, ... otherwise.
+ * @param {number} scale - Raster scale factor
+ * @returns {string}
+ */
+export function getScaleSuffix(scale) {
+  return scale === 1 ? '' : `@${scale}x`;
+}
+
+/**
+ * Checks that a set of sizes and PNG scales gives every file its own name.
+ * Size and scale suffixes share the `@2x` form — the 32px icon at 1× and
+ * the 16px one at 2× are both `name@2x.png`, and IntelliJ resolves no
+ * `name@2x@2x.png` — so scales other than 1 only go with the base size.
+ * @param {number[]} sizes - Nominal icon sizes
+ * @param {number[]} scales - PNG scale factors
+ * @throws {Error} If sizes other than the base size meet scales other than 1
+ */
+export function checkPngNaming(sizes, scales) {
+  if (sizes.some(size => size !== BASE_ICON_SIZE) && scales.some(scale => scale !== 1)) {
+    throw new Error(`PNG scales other than 1 only work with the ${BASE_ICON_SIZE}px size: sizes and scales share file-name suffixes (name@2x.png is the ${BASE_ICON_SIZE * 2}px icon). Export other sizes at scale 1.`);
+  }
+}
+
+// ── Letter Styles ────────────────────────────────────────────────────
+// fill:     letter in letterColor on the tinted shape (default)
+// outline:  letter drawn as a stroke in letterColor, hollow inside
+// inverse:  shape filled solid in the stroke color, white letter
+// knockout: shape filled solid in the stroke color, letter cut out.  Emitted
+//           as an SVG mask marked `data-knockout`; the modifier engine turns
+//           it into a real path subtraction when Paper.js is available.
+export const LETTER_STYLES = ['fill', 'outline', 'inverse', 'knockout'];
+
+const INVERSE_LETTER_COLOR = '#FFFFFF';
+
+// Outline letter stroke, relative to the shape stroke width
+const OUTLINE_STROKE_RATIO = 0.75;
+
 // ── Full SVG Assembly ────────────────────────────────────────────────
 /**
  * Generates a complete SVG icon with shape background and letter overlay.
@@ -595,7 +2657,21 @@ export function generateLetterPath(font, letter, fill, fontSize, xOff = 0, yOff
  * @param {number} [params.xOffset=0] - Horizontal letter offset
  * @param {number} [params.yOffset=0] - Vertical letter offset
  * @param {number} [params.shapeScale] - Shape scale factor (default per-shape or 1.0)
- * @returns {{ svg: string, error: string|null, viewBoxSize: number }}
+ * @param {{ cornerRadius?: number, sides?: number, rotation?: number, strokeAlign?: string }} [params.shapeParams] -
+ *   Overrides for the shape's adjustable parameters (see SHAPE_PARAMS); ones the shape does not declare are ignored
+ * @param {boolean} [params.dashed=false] - Split the shape's stroked outlines into filled dashes
+ * @param {number} [params.size=16] - Nominal icon size in pixels (see fitToSize)
+ * @param {boolean} [params.snap=false] - Snap the letter's stems and bars to the pixel grid
+ * @param {'bbox'|'optical'} [params.centering='bbox'] - Letter centering; optical also uses the shape's `opticalCenter`
+ * @param {'fill'|'outline'|'inverse'|'knockout'} [params.letterStyle='fill'] - How the letter is drawn (see LETTER_STYLES)
+ * @param {'inline'|'stacked'|'superscript'|'subscript'} [params.layout='inline'] - Text layout (see TEXT_LAYOUTS)
+ * @param {number} [params.letterSpacing=0] - Extra space between glyphs, in em
+ * @param {number|'stroke'|null} [params.stemWidth=null] - Target letter stem width in pixels at 16px (scaled like
+ *   strokeWidth at other sizes), or `'stroke'` to match the shape's stroke; the letter is marked for offsetting
+ *   (see measureStemWidth).  Ignored for outline letters
+ * @returns {{ svg: string, error: string|null, viewBoxSize: number, fontSize: number,
+ *   stem: { measured: number, target: number }|null }} `stem` holds the letter's stem width before and after
+ *   compensation, in the units of stemWidth
  */
 export function generateSVG({
   font,
@@ -609,11 +2685,34 @@ export function generateSVG({
   xOffset = 0,
   yOffset = 0,
   shapeScale,
+  size: iconSize = BASE_ICON_SIZE,
+  snap = false,
+  centering = 'bbox',
+  letterStyle = 'fill',
+  stemWidth = null,
+  layout = 'inline',
+  letterSpacing = 0,
+  shapeParams = {},
+  dashed = false,
 }) {
   const shapeDef = SHAPES[shape];
   if (!shapeDef) {
-    return { svg: '', error: `Unknown shape: "${shape}". Valid shapes: ${Object.keys(SHAPES).join(', ')}`, viewBoxSize: 16 };
+    return { svg: '', error: `Unknown shape: "${shape}". Valid shapes: ${Object.keys(SHAPES).join(', ')}`, viewBoxSize: 16, fontSize: null, stem: null };
+  }
+  if (!LETTER_STYLES.includes(letterStyle)) {
+    return { svg: '', error: `Unknown letter style: "${letterStyle}". Valid styles: ${LETTER_STYLES.join(', ')}`, viewBoxSize: 16, fontSize: null, stem: null };
+  }
+  if (!TEXT_LAYOUTS.includes(layout)) {
+    return { svg: '', error: `Unknown layout: "${layout}". Valid layouts: ${TEXT_LAYOUTS.join(', ')}`, viewBoxSize: 16, fontSize: null, stem: null };
   }
+  let params;
+  try {
+    params = resolveShapeParams(shape, shapeParams);
+  } catch (e) {
+    return { svg: '', error: e.message, viewBoxSize: 16, fontSize: null, stem: null };
+  }
+  const solid = letterStyle === 'inverse' || letterStyle === 'knockout';
+  const textLayout = { layout, letterSpacing };
 
   const baseViewBox = shapeDef.viewBoxSize ?? 16;
   const scale = shapeScale ?? shapeDef.defaultScale ?? 1.0;
@@ -629,35 +2728,91 @@ export function generateSVG({
   }
   const center = viewBoxSize / 2;
 
-  const targetHeight = shapeDef.targetHeight ?? 7.0;
+  // At other sizes the native design is refit so border, stroke and cap
+  // height land on whole pixels; stroke and target height are expressed
+  // back in native units here and the whole icon is scaled at the end.
+  const fit = fitToSize(viewBoxSize, iconSize);
+  const nativeSW = fit.k === 1 ? strokeWidth
+    : (strokeWidth > 0 ? Math.max(1, Math.round(strokeWidth * iconSize / BASE_ICON_SIZE)) : 0) / fit.k;
+  const targetHeight = fit.k === 1 ? (shapeDef.targetHeight ?? 7.0)
+    : Math.round((shapeDef.targetHeight ?? 7.0) * iconSize / BASE_ICON_SIZE) / fit.k;
   let size;
   if (fontSize != null) {
     size = fontSize;
   } else if (font) {
     const calibrated = calibrateFontSize(font, letter, targetHeight);
-    size = boundFontSizeToShape(font, letter, calibrated, shape, strokeWidth, xOffset, yOffset, scale);
+    size = boundFontSizeToShape(font, letter, calibrated, shape, nativeSW, xOffset, yOffset, scale, textLayout, params);
   } else {
     size = targetHeight;
   }
 
   // Generate shape at its native center (coordinates sized for 1px border)
-  let shapeMarkup = shapeDef.generate(fill, stroke, strokeWidth, nativeCenter);
+  let shapeMarkup;
+  if (dashed) {
+    // Dash ends snap to output pixels: pixel = offset + k × (center + scale × (native - nativeCenter))
+    const dashGrid = { k: fit.k * scale, offset: fit.offset + fit.k * (center - scale * nativeCenter) };
+    shapeMarkup = dashShapeMarkup(shapeDef.generate(solid ? stroke : fill, DASH_MARKER, +nativeSW.toFixed(4), nativeCenter, params), stroke, dashGrid);
+  } else {
+    shapeMarkup = shapeDef.generate(solid ? stroke : fill, stroke, +nativeSW.toFixed(4), nativeCenter, params);
+  }
 
   // Apply scale transform only when scale != 1.0
   if (scale !== 1.0) {
     shapeMarkup = `<g transform="translate(${center} ${center}) scale(${scale}) translate(-${nativeCenter} -${nativeCenter})">\n    ${shapeMarkup}\n  </g>`;
   }
 
-  const xOff = xOffset + (shapeDef.defaultXOffset ?? 0);
-  const yOff = yOffset + (shapeDef.defaultYOffset ?? 0);
-  const { path: letterMarkup, error } = generateLetterPath(font, letter, letterColor, size, xOff, yOff, center);
+  let xOff = xOffset + (shapeDef.defaultXOffset ?? 0);
+  let yOff = yOffset + (shapeDef.defaultYOffset ?? 0);
+  if (centering === 'optical' && shapeDef.opticalCenter) {
+    xOff = xOffset + (shapeDef.opticalCenter[0] - nativeCenter) * scale;
+    yOff = yOffset + (shapeDef.opticalCenter[1] - nativeCenter) * scale;
+  }
+  const snapGrid = snap ? { k: fit.k, offset: fit.offset } : null;
+  const letterFill = { fill: letterColor, outline: 'none', inverse: INVERSE_LETTER_COLOR, knockout: '#000' }[letterStyle];
+  let { path: letterMarkup, error, commands } = generateLetterPath(font, letter, letterFill, size, xOff, yOff, center, snapGrid, centering, textLayout);
+
+  let stem = null;
+  const measured = stemWidth != null && letterStyle !== 'outline' && letterMarkup ? measureStemWidth(commands) : null;
+  // Like strokeWidth, stemWidth is in pixels of the 16px design and scales with the size
+  const unitPx = fit.k * BASE_ICON_SIZE / iconSize;
+  const target = stemWidth === 'stroke' ? nativeSW : stemWidth / unitPx;
+  if (measured && target > 0) {
+    const delta = +((target - measured) / 2).toFixed(4);
+    stem = { measured: +(measured * unitPx).toFixed(3), target: +(target * unitPx).toFixed(3) };
+    if (Math.abs(delta) >= MIN_STEM_OFFSET) {
+      // Stroke fallback emboldens until the engine replaces it with a real offset
+      const fallback = delta > 0 ? ` stroke="${letterFill}" stroke-width="${+(2 * delta).toFixed(4)}" stroke-linejoin="round"` : '';
+      letterMarkup = letterMarkup.replace('/>', ` data-stem-offset="${delta}"${fallback}/>`);
+    }
+  }
+
+  if (letterStyle === 'outline' && letterMarkup) {
+    const letterSW = +(nativeSW * OUTLINE_STROKE_RATIO).toFixed(4);
+    letterMarkup = letterMarkup.replace('/>', ` stroke="${letterColor}" stroke-width="${letterSW}" stroke-linejoin="round"/>`);
+  }
 
-  const svg = `<svg width="${viewBoxSize}" height="${viewBoxSize}" viewBox="0 0 ${viewBoxSize} ${viewBoxSize}" fill="none" xmlns="http://www.w3.org/2000/svg">
+  let body = `${shapeMarkup}
+  ${letterMarkup}`;
+  if (letterStyle === 'knockout' && letterMarkup) {
+    body = `<mask id="letter-knockout" data-knockout="" maskUnits="userSpaceOnUse" x="0" y="0" width="${viewBoxSize}" height="${viewBoxSize}">
+    <rect width="${viewBoxSize}" height="${viewBoxSize}" fill="#fff"/>
+    ${letterMarkup}
+  </mask>
+  <g mask="url(#letter-knockout)">
   ${shapeMarkup}
-  ${letterMarkup}
+  </g>`;
+  }
+  if (fit.k !== 1) {
+    body = `<g transform="translate(${+fit.offset.toFixed(4)} ${+fit.offset.toFixed(4)}) scale(${+fit.k.toFixed(4)})">
+  ${body}
+  </g>`;
+  }
+
+  const svg = `<svg width="${fit.viewBoxSize}" height="${fit.viewBoxSize}" viewBox="0 0 ${fit.viewBoxSize} ${fit.viewBoxSize}" fill="none" xmlns="http://www.w3.org/2000/svg">
+  ${body}
 </svg>`;
 
-  return { svg, error, viewBoxSize };
+  return { svg, error, viewBoxSize: fit.viewBoxSize, fontSize: size, stem };
 }
 
 // ── Preset Lookup ────────────────────────────────────────────────────
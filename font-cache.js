@@ -0,0 +1,130 @@
+/**
+ * Letter Icon Composer — on-disk font cache (Node.js only).
+ *
+ * Downloaded fonts are stored content-addressed (file name = SHA-256 of the
+ * font data) with an index mapping each source URL to its hash. The CLI
+ * checks the cache before fetching, so icon generation keeps working in
+ * sandboxed CI and without a network once the cache is seeded.
+ *
+ * Location: $LETTER_ICON_FONT_CACHE, else $XDG_CACHE_HOME/letter-icon-composer/fonts,
+ * else ~/.cache/letter-icon-composer/fonts.
+ */
+
+import { readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { homedir } from 'node:os';
+import { join, basename } from 'node:path';
+
+// ── Location ─────────────────────────────────────────────────────────
+/**
+ * Returns the font cache directory.
+ * @returns {string}
+ */
+export function getFontCacheDir() {
+  if (process.env.LETTER_ICON_FONT_CACHE) return process.env.LETTER_ICON_FONT_CACHE;
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'letter-icon-composer', 'fonts');
+}
+
+// ── Index ────────────────────────────────────────────────────────────
+// index.json maps source URL → { hash, file, size }.
+async function readIndex(dir) {
+  try {
+    return JSON.parse(await readFile(join(dir, 'index.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+async function writeIndex(dir, index) {
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function extensionOf(name) {
+  const m = name.match(/\.(ttf|otf|woff2?)$/i);
+  return m ? m[1].toLowerCase() : 'bin';
+}
+
+// ── Read / Write ─────────────────────────────────────────────────────
+/**
+ * Looks up a font by its source URL.  Entries whose data no longer matches
+ * the recorded hash are treated as missing.
+ * @param {string} url - Source URL the font was (or would be) downloaded from
+ * @returns {Promise<Buffer|null>} Font data, or null on a cache miss
+ */
+export async function readCachedFont(url) {
+  const dir = getFontCacheDir();
+  const entry = (await readIndex(dir))[url];
+  if (!entry) return null;
+  try {
+    const data = await readFile(join(dir, entry.file));
+    return sha256(data) === entry.hash ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores font data under its content hash and maps `url` to it.
+ * @param {string} url - Source URL the data belongs to
+ * @param {ArrayBuffer|Buffer|Uint8Array} data - Font data
+ * @returns {Promise<{ hash: string, file: string, size: number }>}
+ */
+export async function writeCachedFont(url, data) {
+  const dir = getFontCacheDir();
+  const buf = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+  const hash = sha256(buf);
+  const file = `${hash}.${extensionOf(new URL(url).pathname)}`;
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, file), buf);
+  const index = await readIndex(dir);
+  index[url] = { hash, file, size: buf.length };
+  await writeIndex(dir, index);
+  return index[url];
+}
+
+/**
+ * Seeds the cache from a local font file so `url` resolves offline.
+ * @param {string} path - Local .ttf/.otf/.woff file
+ * @param {string} url - Source URL the file stands in for
+ * @returns {Promise<{ hash: string, file: string, size: number }>}
+ */
+export async function seedFontCache(path, url) {
+  return writeCachedFont(url, await readFile(path));
+}
+
+/**
+ * Lists cached fonts.
+ * @returns {Promise<Array<{ url: string, hash: string, file: string, size: number }>>}
+ */
+export async function listFontCache() {
+  const index = await readIndex(getFontCacheDir());
+  return Object.entries(index).map(([url, entry]) => ({ url, ...entry }));
+}
+
+/**
+ * Removes every cached font.
+ * @returns {Promise<void>}
+ */
+export async function clearFontCache() {
+  await rm(getFontCacheDir(), { recursive: true, force: true });
+}
+
+/**
+ * Finds the URL among `candidates` whose file name matches `path`'s file name
+ * (e.g. OpenSans-Bold.ttf → …/OpenSans-Bold.ttf, OpenSans[wdth,wght].ttf →
+ * …/OpenSans%5Bwdth,wght%5D.ttf).  Used to seed built-in fonts
+ * without spelling out the URL.
+ * @param {string} path - Local font file
+ * @param {string[]} candidates - Known source URLs
+ * @returns {string|undefined}
+ */
+export function matchFontUrl(path, candidates) {
+  const name = basename(path).toLowerCase();
+  return candidates.find(url => decodeURIComponent(basename(new URL(url).pathname)).toLowerCase() === name);
+}
@@ -0,0 +1,143 @@
+/**
+ * Letter Icon Composer — IntelliJ icons holder class generation.
+ *
+ * Renders the Kotlin `object` / Java `interface` that exposes generated icons
+ * as `IconLoader.getIcon(...)` constants, and parses a previously generated
+ * holder back into its entries so single-icon runs can merge into it.
+ * Pure string functions; cli.js handles reading and writing the file.
+ */
+
+export const HOLDER_LANGUAGES = ['kotlin', 'java'];
+
+const GENERATED_MARKER = '// Generated by letter-icon-composer. Regenerate instead of editing by hand.';
+
+// ── Naming ───────────────────────────────────────────────────────────
+/**
+ * Derives a constant name from an icon file name:
+ * `class` → `CLASS`, `myNode` → `MY_NODE`, `enum-constant@x` → `ENUM_CONSTANT_X`.
+ * @param {string} name - Icon base name (as passed to --name)
+ * @returns {string}
+ */
+export function toConstantName(name) {
+  const constant = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+  if (!constant) return 'ICON';
+  return /^[0-9]/.test(constant) ? `_${constant}` : constant;
+}
+
+/**
+ * Infers the holder language from a file name (`.kt` → kotlin, `.java` → java).
+ * @param {string} file - Holder file path
+ * @returns {'kotlin'|'java'|null}
+ */
+export function holderLanguageFromFile(file) {
+  if (/\.kt$/i.test(file)) return 'kotlin';
+  if (/\.java$/i.test(file)) return 'java';
+  return null;
+}
+
+/**
+ * Joins a resource root and an icon file name into a classpath resource path.
+ * @param {string} resourceRoot - e.g. `/icons` or `icons/mylang/`
+ * @param {string} fileName - e.g. `class.svg`
+ * @returns {string} e.g. `/icons/class.svg`
+ */
+export function iconResourcePath(resourceRoot, fileName) {
+  const root = ('/' + resourceRoot).replace(/\/+/g, '/').replace(/\/$/, '');
+  return `${root}/${fileName}`;
+}
+
+// ── Parse ────────────────────────────────────────────────────────────
+/**
+ * Reads entries back from a holder generated by renderIconHolder().
+ * Returns null for files this tool did not generate, so they are never
+ * overwritten by accident.
+ * @param {string} source - Existing holder source
+ * @returns {{ packageName: string|null, entries: Array<{ constant: string, path: string }> }|null}
+ */
+export function parseIconHolder(source) {
+  if (!source.includes(GENERATED_MARKER)) return null;
+  const pkg = source.match(/^package\s+([\w.]+)/m);
+  const entries = [];
+  const re = /(?:val\s+|Icon\s+)(\w+)(?::\s*Icon)?\s*=\s*IconLoader\.getIcon\("([^"]+)"/g;
+  let m;
+  while ((m = re.exec(source)) !== null) entries.push({ constant: m[1], path: m[2] });
+  return { packageName: pkg ? pkg[1] : null, entries };
+}
+
+/**
+ * Adds or replaces entries (matched by constant name or resource path),
+ * keeping existing order and appending new ones.
+ * @param {Array<{ constant: string, path: string }>} existing
+ * @param {Array<{ constant: string, path: string }>} updates
+ * @returns {Array<{ constant: string, path: string }>}
+ */
+export function mergeIconHolderEntries(existing, updates) {
+  const merged = [...existing];
+  for (const entry of updates) {
+    const i = merged.findIndex(e => e.constant === entry.constant || e.path === entry.path);
+    if (i >= 0) merged[i] = entry;
+    else merged.push(entry);
+  }
+  return merged;
+}
+
+// ── Render ───────────────────────────────────────────────────────────
+/**
+ * Renders a ready-to-compile icons holder.
+ * @param {object} options
+ * @param {'kotlin'|'java'} options.language - Output language
+ * @param {string} options.className - Holder class name (e.g. `MyLangIcons`)
+ * @param {string} [options.packageName] - Package (omitted when empty)
+ * @param {Array<{ constant: string, path: string }>} options.entries - Icon constants
+ * @returns {string} Source file contents
+ */
+export function renderIconHolder({ language, className, packageName, entries }) {
+  if (!HOLDER_LANGUAGES.includes(language)) {
+    throw new Error(`Unknown holder language "${language}". Valid languages: ${HOLDER_LANGUAGES.join(', ')}`);
+  }
+  if (!/^[A-Za-z_$][\w$]*$/.test(className)) {
+    throw new Error(`Invalid holder class name "${className}".`);
+  }
+  if (packageName && !/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/.test(packageName)) {
+    throw new Error(`Invalid package name "${packageName}".`);
+  }
+
+  const lines = [GENERATED_MARKER];
+  if (language === 'kotlin') {
+    if (packageName) lines.push(`package ${packageName}`, '');
+    else lines.push('');
+    lines.push(
+      'import com.intellij.openapi.util.IconLoader',
+      'import javax.swing.Icon',
+      '',
+      `object ${className} {`,
+    );
+    entries.forEach((e, i) => {
+      if (i > 0) lines.push('');
+      lines.push(
+        '    @JvmField',
+        `    val ${e.constant}: Icon = IconLoader.getIcon("${e.path}", ${className}::class.java)`,
+      );
+    });
+    lines.push('}');
+  } else {
+    if (packageName) lines.push(`package ${packageName};`, '');
+    else lines.push('');
+    lines.push(
+      'import com.intellij.openapi.util.IconLoader;',
+      '',
+      'import javax.swing.Icon;',
+      '',
+      `public interface ${className} {`,
+    );
+    for (const e of entries) {
+      lines.push(`    Icon ${e.constant} = IconLoader.getIcon("${e.path}", ${className}.class);`);
+    }
+    lines.push('}');
+  }
+  return lines.join('\n') + '\n';
+}
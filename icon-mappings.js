@@ -0,0 +1,54 @@
+/**
+ * Letter Icon Composer — IntelliJ expUI icon mappings.
+ *
+ * Plugins supporting both UIs register an `*IconMappings.json` file
+ * (`<iconMapper mappingFile="..."/>`) that maps each new-UI icon to the
+ * classic icon(s) it replaces.  The file nests objects along the new icon's
+ * resource path, with the file name as leaf key and the old path(s) as value:
+ *
+ *   { "icons": { "expui": { "class.svg": "icons/nodes/class.png" } } }
+ *
+ * Pure functions; cli.js handles reading and writing the file.
+ */
+
+function toSegments(resourcePath) {
+  return resourcePath.replace(/^\/+/, '').split('/').filter(Boolean);
+}
+
+// ── Merge ────────────────────────────────────────────────────────────
+/**
+ * Adds a mapping from a new-UI icon to the classic icon(s) it replaces,
+ * merging into an existing mappings object.  Old paths already mapped to the
+ * icon are kept; a single path stays a string, several become an array.
+ * @param {object} mappings - Parsed mappings file (not modified)
+ * @param {string} newPath - Resource path of the new icon (e.g. `/icons/expui/class.svg`)
+ * @param {string|string[]} oldPaths - Resource path(s) of the replaced classic icon(s)
+ * @returns {object} Updated mappings
+ * @throws {Error} If a folder in `newPath` is already mapped as an icon (or vice versa)
+ */
+export function addIconMapping(mappings, newPath, oldPaths) {
+  const segments = toSegments(newPath);
+  if (segments.length < 2) {
+    throw new Error(`Icon path "${newPath}" must include a resource folder (e.g. /icons/${newPath.replace(/^\/+/, '')}).`);
+  }
+  const olds = (Array.isArray(oldPaths) ? oldPaths : [oldPaths]).map(p => toSegments(p).join('/'));
+
+  const result = structuredClone(mappings ?? {});
+  let node = result;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] == null) node[segment] = {};
+    if (typeof node[segment] !== 'object' || Array.isArray(node[segment])) {
+      throw new Error(`Cannot map "${newPath}": "${segment}" is already mapped as an icon.`);
+    }
+    node = node[segment];
+  }
+
+  const leaf = segments[segments.length - 1];
+  const current = node[leaf];
+  if (current != null && typeof current === 'object' && !Array.isArray(current)) {
+    throw new Error(`Cannot map "${newPath}": it is already a folder in the mappings file.`);
+  }
+  const merged = [...new Set([...(current == null ? [] : [].concat(current)), ...olds])];
+  node[leaf] = merged.length === 1 ? merged[0] : merged;
+  return result;
+}
@@ -5,12 +5,18 @@
  * Applies badge silhouette cutouts (configurable anchor points) to SVG shapes and
  * renders custom badge icons in the freed areas. Supports multiple layered badges
  * applied sequentially — later badges clip through everything below them.
+ * Built-in modifiers (lock, static, error, ...) are generated badge SVGs that
+ * go through the same path as the bottom layer.
  *
  * When Paper.js is available: boolean path subtraction using expanded badge
  * silhouette. Strokes are expanded into filled outlines via PaperOffset
  * (equivalent to Affinity Designer's "Expand Stroke") before subtraction.
  * ClipPath only as error fallback.
  *
+ * The same subtraction turns knocked-out letters (letterStyle "knockout")
+ * from an SVG mask into real geometry, and PaperOffset also emboldens or
+ * thins letters marked for stem compensation (`data-stem-offset`).
+ *
  * When Paper.js is unavailable: pure clipPath fallback (no dependencies).
  */
 
@@ -109,6 +115,18 @@ function normalizeBadges(opts) {
   return [];
 }
 
+/**
+ * Builds the full badge stack for a modifier: a built-in modifier's generated
+ * glyph (colored with modifierColor) sits at the bottom-right beneath any
+ * user badges, which are layered on top in order.
+ */
+function resolveBadges(modifierKey, modifierColor, opts) {
+  const badges = normalizeBadges(opts);
+  const builtinSvg = MODIFIERS[modifierKey].generate(modifierColor);
+  if (!builtinSvg) return badges;
+  return [{ svgText: builtinSvg, xOffset: 0, yOffset: 0, scale: 1.0, gap: 1, anchor: 'br' }, ...badges];
+}
+
 // ── ClipPath-Only Fallback (no dependencies) ─────────────────────────
 
 function applySingleBadgeClipPath(svgString, viewBoxSize, badge, index) {
@@ -146,7 +164,7 @@ function applyModifierClipPath(svgString, modifierKey, modifierColor, viewBoxSiz
   const modDef = MODIFIERS[modifierKey];
   if (!modDef) return svgString;
 
-  const badges = normalizeBadges(opts);
+  const badges = resolveBadges(modifierKey, modifierColor, opts);
   if (badges.length === 0) return svgString;
 
   let result = svgString;
@@ -334,31 +352,34 @@ async function createFullEngine(paper) {
   const STYLE_ATTRS = ['fill', 'stroke', 'stroke-width', 'fill-rule', 'clip-rule',
     'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'opacity'];
 
+  // Outermost group containing `el` (the child of the root <svg>), or null
+  // when `el` is itself a direct child of the root.
+  function topLevelAncestor(el) {
+    let node = el.parentNode;
+    if (!node || node === node.ownerDocument.documentElement) return null;
+    while (node.parentNode !== node.ownerDocument.documentElement) node = node.parentNode;
+    return node;
+  }
+
+  // Combined transform list of `el` and its ancestors, outermost first.
+  function cumulativeTransform(el) {
+    const parts = [];
+    for (let node = el; node && node.getAttribute; node = node.parentNode) {
+      const t = node.getAttribute('transform');
+      if (t) parts.unshift(t);
+    }
+    return parts.join(' ') || null;
+  }
+
   /**
-   * Apply a single badge's cutout + rendering to the SVG string via Paper.js boolean ops.
-   * Returns the modified SVG string.
+   * Boolean-subtracts `notch` (root coordinates) from every shape in the
+   * parsed SVG document, expanding strokes into filled outlines first.
+   * Results are written in root coordinates ahead of their top-level group.
+   * Earlier badge layers, and shapes whose subtraction fails, are clipped to
+   * the viewBox minus `notch` instead.
    */
-  function applySingleBadgePaper(svgString, viewBoxSize, badge, index) {
-    paperScope.activate();
+  function subtractFromDocument(doc, viewBoxSize, notch, clipId) {
     const s = viewBoxSize;
-
-    const placement = computeBadgePlacement(
-      badge.svgText, viewBoxSize,
-      badge.xOffset || 0, badge.yOffset || 0, badge.scale ?? 1.0,
-      badge.anchor || 'br');
-
-    if (!placement.inner) return svgString;
-
-    const gap = badge.gap ?? 1;
-
-    // Import badge silhouette and expand by gap to create the cutout shape
-    const notch = importBadgeSilhouette(
-      badge.svgText, placement.tx, placement.ty, placement.scale, gap);
-
-    if (!notch) return svgString;
-
-    const xmlParser = new DOMParser_();
-    const doc = xmlParser.parseFromString(svgString, 'image/svg+xml');
     const svgEl = doc.documentElement;
 
     // Build a clipPath for shapes that can't use boolean subtraction
@@ -368,7 +389,6 @@ async function createFullEngine(paper) {
     viewBoxRect.remove();
     keepRegion.remove();
 
-    const clipId = `nc-${index}`;
     let clipAdded = false;
     function ensureClipDef() {
       if (clipAdded) return;
@@ -405,7 +425,8 @@ async function createFullEngine(paper) {
           return;
         }
         const t = el.getAttribute('transform');
-        for (const child of Array.from(el.children)) processEl(child, t);
+        const combined = parentTransform && t ? `${parentTransform} ${t}` : (t || parentTransform);
+        for (const child of Array.from(el.children)) processEl(child, combined);
         if (el.children.length === 0) el.remove();
         return;
       }
@@ -421,7 +442,7 @@ async function createFullEngine(paper) {
       if (parentTransform) applyPaperTransform(pp, parentTransform);
 
       const parent = el.parentNode;
-      const insertionPoint = parent.tagName?.toLowerCase() === 'g' ? parent : null;
+      const insertionPoint = topLevelAncestor(el);
 
       try {
         let fillEl = null;
@@ -488,19 +509,46 @@ async function createFullEngine(paper) {
         ensureClipDef();
         el.setAttribute('clip-path', `url(#${clipId})`);
         if (insertionPoint) {
-          const gt = insertionPoint.getAttribute('transform');
-          if (gt) {
+          if (parentTransform) {
             const existing = el.getAttribute('transform');
-            el.setAttribute('transform', existing ? `${gt} ${existing}` : gt);
+            el.setAttribute('transform', existing ? `${parentTransform} ${existing}` : parentTransform);
           }
           insertionPoint.parentNode.insertBefore(el, insertionPoint);
-          if (insertionPoint.children.length === 0) insertionPoint.remove();
         }
       }
       pp.remove();
     }
 
     for (const child of Array.from(svgEl.children)) processEl(child, null);
+  }
+
+  /**
+   * Apply a single badge's cutout + rendering to the SVG string via Paper.js boolean ops.
+   * Returns the modified SVG string.
+   */
+  function applySingleBadgePaper(svgString, viewBoxSize, badge, index) {
+    paperScope.activate();
+
+    const placement = computeBadgePlacement(
+      badge.svgText, viewBoxSize,
+      badge.xOffset || 0, badge.yOffset || 0, badge.scale ?? 1.0,
+      badge.anchor || 'br');
+
+    if (!placement.inner) return svgString;
+
+    const gap = badge.gap ?? 1;
+
+    // Import badge silhouette and expand by gap to create the cutout shape
+    const notch = importBadgeSilhouette(
+      badge.svgText, placement.tx, placement.ty, placement.scale, gap);
+
+    if (!notch) return svgString;
+
+    const xmlParser = new DOMParser_();
+    const doc = xmlParser.parseFromString(svgString, 'image/svg+xml');
+    const svgEl = doc.documentElement;
+
+    subtractFromDocument(doc, viewBoxSize, notch, `nc-${index}`);
     notch.remove();
 
     // Add badge rendering (data-badge-layer lets later iterations clip rather than boolean-subtract)
@@ -519,7 +567,7 @@ async function createFullEngine(paper) {
     const modDef = MODIFIERS[modifierKey];
     if (!modDef) return svgString;
 
-    const badges = normalizeBadges(opts);
+    const badges = resolveBadges(modifierKey, modifierColor, opts);
     if (badges.length === 0) return svgString;
 
     let result = svgString;
@@ -529,14 +577,91 @@ async function createFullEngine(paper) {
     return result;
   }
 
-  return { applyModifier };
+  /**
+   * Turns the `data-knockout` mask emitted by generateSVG (letterStyle
+   * "knockout") into real geometry: the letter is boolean-subtracted from
+   * the shape and the mask removed.  SVGs without one are returned as is.
+   */
+  function applyKnockout(svgString, viewBoxSize) {
+    if (!svgString.includes('data-knockout')) return svgString;
+    paperScope.activate();
+
+    const doc = new DOMParser_().parseFromString(svgString, 'image/svg+xml');
+    const svgEl = doc.documentElement;
+    const mask = svgEl.querySelector('mask[data-knockout]');
+    const masked = mask && svgEl.querySelector(`[mask="url(#${mask.getAttribute('id')})"]`);
+    if (!masked) return svgString;
+
+    // Mask content lives in the masked group's user space
+    const transform = cumulativeTransform(masked);
+    let cut = null;
+    for (const el of Array.from(mask.children)) {
+      if (el.getAttribute('fill') !== '#000') continue;
+      const p = svgElToPaperPath(el);
+      if (!p) continue;
+      if (transform) applyPaperTransform(p, transform);
+      if (cut) {
+        const united = cut.unite(p);
+        cut.remove();
+        p.remove();
+        cut = united;
+      } else {
+        cut = p;
+      }
+    }
+    mask.remove();
+    masked.removeAttribute('mask');
+
+    if (cut) {
+      subtractFromDocument(doc, viewBoxSize, cut, 'knockout');
+      cut.remove();
+    }
+    return new XMLSerializer_().serializeToString(svgEl);
+  }
+
+  /**
+   * Offsets letters marked with `data-stem-offset` by generateSVG (stem
+   * compensation): positive values embolden, negative values thin.  The
+   * stroke fallback is dropped once the outline itself has been offset.
+   * Runs before applyKnockout so the knocked-out letter is the offset one.
+   */
+  function applyStemOffset(svgString) {
+    if (!svgString.includes('data-stem-offset')) return svgString;
+    paperScope.activate();
+
+    const doc = new DOMParser_().parseFromString(svgString, 'image/svg+xml');
+    const svgEl = doc.documentElement;
+    for (const el of Array.from(svgEl.querySelectorAll('path[data-stem-offset]'))) {
+      const delta = parseFloat(el.getAttribute('data-stem-offset'));
+      el.removeAttribute('data-stem-offset');
+      const p = new paper.CompoundPath(el.getAttribute('d'));
+      try {
+        const offset = PaperOffset.offset(p, delta, { join: 'round', insert: false });
+        el.setAttribute('d', offset.pathData);
+        offset.remove();
+        for (const attr of ['stroke', 'stroke-width', 'stroke-linejoin']) el.removeAttribute(attr);
+      } catch {
+        // Offset failed — keep the stroke fallback (emboldening only)
+      }
+      p.remove();
+    }
+    return new XMLSerializer_().serializeToString(svgEl);
+  }
+
+  return { applyModifier, applyKnockout, applyStemOffset };
 }
 
 // ── Engine Factory ───────────────────────────────────────────────────
 
 export async function createModifierEngine(paper) {
   if (paper) return createFullEngine(paper);
-  return { applyModifier: applyModifierClipPath };
+  // Without Paper.js, knockouts stay as the SVG mask generateSVG emitted and
+  // stem offsets keep their stroke fallback
+  return {
+    applyModifier: applyModifierClipPath,
+    applyKnockout: svgString => svgString,
+    applyStemOffset: svgString => svgString.replace(/ data-stem-offset="[^"]*"/g, ''),
+  };
 }
 
 // ── Exported for UI guide computation ────────────────────────────────